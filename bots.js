@@ -0,0 +1,87 @@
+import { getCardValue } from "./public/deck.js";
+import { legalCardIndices } from "./engine.js";
+
+// "random" makes any legal move; "smart" estimates its hand strength and tries to hit its bid
+export const BOT_DIFFICULTIES = ["random", "smart"];
+
+function randomItem(items) {
+  return items[Math.floor(Math.random() * items.length)];
+}
+
+// Whether card would take the trick from best; equal cards played later win, as in determineTrickWinner
+function beats(card, best, leadSuit, trump) {
+  const cardIsTrump = card.suit === trump;
+  const bestIsTrump = best.suit === trump;
+  if (cardIsTrump !== bestIsTrump) return cardIsTrump;
+  if (!cardIsTrump && card.suit !== leadSuit) return false;
+  return getCardValue(card.rank) >= getCardValue(best.rank);
+}
+
+function currentWinningCard(trick, trump) {
+  const leadSuit = trick[0].card.suit;
+  return trick.reduce((best, play) => beats(play.card, best, leadSuit, trump) ? play.card : best, trick[0].card);
+}
+
+// Rough count of tricks a hand should take: high trumps and off-suit aces and kings
+function estimateTricks(hand, trump) {
+  return hand.reduce((estimate, card) => {
+    const value = getCardValue(card.rank);
+    if (card.suit === trump) return estimate + (value >= 11 ? 1 : 0.5);
+    if (value === 14) return estimate + 0.9;
+    if (value === 13) return estimate + 0.5;
+    return estimate;
+  }, 0);
+}
+
+// Pick a prediction between 0 and maxPrediction, never the value forbidden to the last bidder
+export function chooseBotPrediction(hand, { maxPrediction, forbidden, trump, difficulty }) {
+  const options = [];
+  for (let i = 0; i <= maxPrediction; i++) {
+    if (i !== forbidden) options.push(i);
+  }
+  if (difficulty !== "smart") return randomItem(options);
+
+  const target = Math.round(estimateTricks(hand, trump));
+  return options.reduce((best, option) =>
+    Math.abs(option - target) < Math.abs(best - target) ? option : best
+  );
+}
+
+// Name the suit the hand is strongest in, counting both length and high cards
+export function chooseBotTrump(hand, options) {
+  const suits = options.filter(option => hand.some(card => card.suit === option));
+  if (suits.length === 0) return options[0];
+  const strength = (suit) => hand
+    .filter(card => card.suit === suit)
+    .reduce((sum, card) => sum + 1 + Math.max(0, getCardValue(card.rank) - 10) / 2, 0);
+  return suits.reduce((best, suit) => strength(suit) > strength(best) ? suit : best);
+}
+
+// Pick the index of a legal card to play, following suit when possible; null with an empty hand
+export function chooseBotCard(hand, { trick, trump, prediction, tricksWon, difficulty }) {
+  const legal = legalCardIndices(hand, trick);
+  if (legal.length === 0) return null;
+  if (difficulty !== "smart") return randomItem(legal);
+
+  const wantsTricks = tricksWon < prediction;
+  const strength = (i) => getCardValue(hand[i].rank) + (hand[i].suit === trump ? 20 : 0);
+  const ascending = (a, b) => strength(a) - strength(b);
+
+  // Leading: push the strongest card when short of the bid, otherwise the weakest
+  if (trick.length === 0) {
+    const sorted = legal.slice().sort(ascending);
+    return wantsTricks ? sorted[sorted.length - 1] : sorted[0];
+  }
+
+  const leadSuit = trick[0].card.suit;
+  const best = currentWinningCard(trick, trump);
+  const winners = legal.filter(i => beats(hand[i], best, leadSuit, trump)).sort(ascending);
+  const losers = legal.filter(i => !winners.includes(i)).sort(ascending);
+
+  if (wantsTricks) {
+    // Win as cheaply as possible, or throw away the weakest card
+    return winners.length > 0 ? winners[0] : losers[0];
+  }
+  // Duck with the highest card that still loses, or win as cheaply as forced to
+  return losers.length > 0 ? losers[losers.length - 1] : winners[0];
+}
@@ -0,0 +1,662 @@
+import { createHash } from "crypto";
+import { createDeck, createRng, getCardValue } from "./public/deck.js";
+import { validateScoring, scoreRound } from "./scoring.js";
+
+// The rules of Judgment with no sockets or timers. A game's state is a plain object (the room);
+// actions change it and return { events, next } or { error }. events are { to, name, data }, where
+// to is "room" for everyone at the table or a player id for that player alone, and next is the
+// transition to pass to advance() once everyone has seen what happened, or null while the game
+// waits on a player. A server adds the pauses and delivery; a test or bot just calls advance().
+
+export const GAME_STATES = {
+  WAITING: 'waiting',
+  PREDICTING: 'predicting',
+  PLAYING: 'playing',
+  SCORING: 'scoring'
+};
+
+// Trump suits and the marker for a round played without trumps
+export const SUITS = ["Spades", "Diamonds", "Clubs", "Hearts"];
+export const NO_TRUMP = "NoTrump";
+
+// How trump is picked each round:
+//   rotation        - Spades, Diamonds, Clubs, Hearts in turn
+//   rotationNoTrump - the same four, then a no-trump round
+//   custom          - the host's own cycle, which may include no-trump rounds
+//   random          - any suit at random
+//   turnUp          - the suit of the first card left in the deck after dealing
+//   bidder          - the highest bidder names trump once bidding is over
+export const TRUMP_MODES = ["rotation", "rotationNoTrump", "custom", "random", "turnUp", "bidder"];
+
+// Shapes a game's sequence of round sizes can take:
+//   upDown - min up to max and back down (the original game)
+//   up / down - one way only
+//   downUp - max down to min and back up
+//   custom - the host's own list of card counts
+export const ROUND_SCHEDULES = ["upDown", "up", "down", "downUp", "custom"];
+const MAX_SCHEDULE_ROUNDS = 60;
+
+// Largest table and shoe a game can be set up with
+export const MAX_PLAYERS = 10;
+export const MAX_DECKS = 4;
+
+export function sha256(text) {
+  return createHash("sha256").update(text).digest("hex");
+}
+
+// The hash a server publishes of its nonce before a game. It is taken under its own prefix: a game
+// nobody sent a seed for has the plain hash of the nonce as its seed, which this must not give away
+export function nonceCommitment(nonce) {
+  return sha256(`commit:${nonce}`);
+}
+
+// Validate game configuration
+export function validateGameConfig(number_of_decks, min_round_cards, max_round_cards, maxPlayers, scoring) {
+  if (number_of_decks < 1) return "Number of decks must be at least 1";
+  if (number_of_decks > MAX_DECKS) return `A game can use at most ${MAX_DECKS} decks`;
+  if (min_round_cards < 1) return "Minimum round cards must be at least 1";
+  if (max_round_cards < 1) return "Maximum round cards must be at least 1";
+  if (min_round_cards > max_round_cards) return "Minimum cards cannot exceed maximum cards";
+  if (maxPlayers < 2) return "Need at least 2 players";
+  if (maxPlayers > MAX_PLAYERS) return `A table seats at most ${MAX_PLAYERS} players`;
+  if (max_round_cards * maxPlayers > 52 * number_of_decks) {
+    return "Not enough cards for the specified configuration";
+  }
+  return validateScoring(scoring);
+}
+
+export function validateTrumpConfig(trump_mode, trump_order) {
+  if (!TRUMP_MODES.includes(trump_mode)) return "Unknown trump mode";
+  if (trump_mode !== "custom") return null;
+  if (!Array.isArray(trump_order) || trump_order.length < 1 || trump_order.length > 20) {
+    return "Custom trump order must list between 1 and 20 rounds";
+  }
+  if (trump_order.some(suit => suit !== NO_TRUMP && !SUITS.includes(suit))) {
+    return "Custom trump order may only contain suits or no-trump";
+  }
+  return null;
+}
+
+// Cards dealt in each round of a game, in order; every max-card round is played max_repeats times
+export function buildRoundSchedule(schedule_type, min_round_cards, max_round_cards, max_repeats, custom_rounds) {
+  if (schedule_type === "custom") return Array.isArray(custom_rounds) ? custom_rounds.slice() : [];
+
+  const up = [];
+  for (let cards = min_round_cards; cards <= max_round_cards; cards++) up.push(cards);
+  const down = up.slice().reverse();
+
+  let rounds;
+  if (schedule_type === "up") rounds = up;
+  else if (schedule_type === "down") rounds = down;
+  else if (schedule_type === "downUp") rounds = down.concat(up.slice(1));
+  else rounds = up.concat(down.slice(1));
+  return rounds.flatMap(cards => cards === max_round_cards ? Array(max_repeats).fill(cards) : [cards]);
+}
+
+// Every round in the schedule has to be dealable to a full table
+export function validateRoundSchedule(schedule_type, max_repeats, schedule, maxPlayers, number_of_decks) {
+  if (!ROUND_SCHEDULES.includes(schedule_type)) return "Unknown round schedule";
+  if (!Number.isInteger(max_repeats) || max_repeats < 1 || max_repeats > 10) {
+    return "The max-card round can be repeated 1 to 10 times";
+  }
+  if (schedule.length < 1 || schedule.length > MAX_SCHEDULE_ROUNDS) {
+    return `A game must have between 1 and ${MAX_SCHEDULE_ROUNDS} rounds`;
+  }
+  for (let i = 0; i < schedule.length; i++) {
+    const cards = schedule[i];
+    if (!Number.isInteger(cards) || cards < 1) return `Round ${i + 1} must deal at least 1 card`;
+    if (cards * maxPlayers > 52 * number_of_decks) {
+      return `Round ${i + 1} needs ${cards * maxPlayers} cards for ${maxPlayers} players but the deck has ${52 * number_of_decks}`;
+    }
+  }
+  return null;
+}
+
+// The cycle of trumps a rotating mode steps through
+export function trumpCycle(trump_mode, trump_order) {
+  if (trump_mode === "custom") return trump_order.slice();
+  if (trump_mode === "rotationNoTrump") return [...SUITS, NO_TRUMP];
+  return SUITS.slice();
+}
+
+// Trump for the round just dealt; null until the highest bidder names it
+function chooseRoundTrump(state, undealt, random) {
+  const mode = state.gameConfig.trumpMode;
+  if (mode === "random") return { trump: SUITS[Math.floor(random() * SUITS.length)] };
+  if (mode === "bidder") return { trump: null };
+  if (mode === "turnUp") {
+    const trumpCard = undealt[0];
+    return { trump: trumpCard ? trumpCard.suit : NO_TRUMP, trumpCard: trumpCard || null };
+  }
+  const cycle = state.trump_rotation;
+  return { trump: cycle[(state.current_round - 1) % cycle.length] };
+}
+
+// A round's shuffle seed; it is a hash of the game seed so revealing it at roundEnd exposes no other round.
+// round_deal counts the times this round has been dealt, so a round restarted after a player
+// left gets a fresh shuffle instead of the hands people have already seen cards from
+export function roundSeed(state) {
+  return sha256(`${state.game_seed}:${state.current_round}:${state.round_deal}`);
+}
+
+// Indices of the cards in hand that may legally be played onto the current trick
+export function legalCardIndices(hand, trick) {
+  const indices = hand.map((_, i) => i);
+  if (trick.length === 0) return indices;
+  const leadSuit = trick[0].card.suit;
+  const following = indices.filter(i => hand[i].suit === leadSuit);
+  return following.length > 0 ? following : indices;
+}
+
+// Ids of the cards in hand that may be played on trick
+export function legalCardIds(hand, trick) {
+  return legalCardIndices(hand, trick).map(i => hand[i].id);
+}
+
+// Why moves are blocked right now, or null while the game is running
+export function pauseReason(state) {
+  if (state.host_paused) return "The host has paused the game";
+  if (state.paused) return "Game is paused while a player reconnects";
+  return null;
+}
+
+// The player who has to predict, name trump or play right now, if any
+export function currentTurnPlayer(state) {
+  let currentId = null;
+  if (state.state === GAME_STATES.PREDICTING) {
+    currentId = (state.predictionOrder || [])[0] || state.trump_chooser;
+  } else if (state.state === GAME_STATES.PLAYING && state.current_trick.length < state.players.length) {
+    currentId = state.current_play_order[state.next_player_index];
+  }
+  return state.players.find(p => p.id === currentId) || null;
+}
+
+// The one bid the last predictor may not make, so the bids can't add up to the tricks available
+export function forbiddenPrediction(state) {
+  if (!state.predictionOrder || state.predictionOrder.length !== 1) return null;
+  const total = Object.values(state.predictions).reduce((sum, p) => sum + p, 0);
+  return state.cards_this_round - total;
+}
+
+export function playerNameById(state, playerId) {
+  const player = state.players.find(p => p.id === playerId);
+  return player ? player.name : null;
+}
+
+// Plain { name: value } view of a map kept by player id; without a fallback, players missing
+// from the map come out undefined and drop out of the JSON sent to clients
+export function byName(state, values, fallback) {
+  return state.players.reduce((acc, player) => {
+    acc[player.name] = values[player.id] === undefined ? fallback : values[player.id];
+    return acc;
+  }, {});
+}
+
+// The round currently being recorded, if a game log is running
+export function currentLogRound(state) {
+  const rounds = state.game_log ? state.game_log.rounds : [];
+  return rounds[rounds.length - 1] || null;
+}
+
+function roomEvent(name, data) {
+  return { to: "room", name, data };
+}
+
+// The prompt for whoever's turn it is now; sent again when they reconnect or the game resumes
+export function turnPromptEvents(state) {
+  if (state.state === GAME_STATES.PREDICTING && state.predictionOrder && state.predictionOrder.length) {
+    return [roomEvent("nextPlayerPredict", {
+      currentPlayer: playerNameById(state, state.predictionOrder[0]),
+      maxPrediction: state.cards_this_round,
+      isLast: state.predictionOrder.length === 1,
+      forbidden: forbiddenPrediction(state)
+    })];
+  }
+  if (state.state === GAME_STATES.PREDICTING && state.trump_chooser) {
+    return [roomEvent("chooseTrump", { playerName: playerNameById(state, state.trump_chooser), options: [...SUITS, NO_TRUMP] })];
+  }
+  if (state.state === GAME_STATES.PLAYING) {
+    const currentId = state.current_play_order[state.next_player_index];
+    if (!currentId) return [];
+    // The cards the player may choose from, so the client can steer them off illegal ones
+    const legalCards = legalCardIds(state.playerHands[currentId] || [], state.current_trick);
+    return [{ to: currentId, name: "yourTurnToPlay", data: { legalCards } }];
+  }
+  return [];
+}
+
+// Set up a new game at the first round with every score at zero. The game's shuffle seed is
+// seed when the host fixed one, otherwise a hash of the server's nonce and the players' own
+// seeds, so the server can't choose the hands alone. Each game gets its own seed, so revealing
+// it at the end gives nothing away about the next one
+export function beginGame(state, { id, roomCode, seed = null, nonce = null, clientSeeds = [], startedAt = new Date().toISOString() }) {
+  state.game_client_seeds = seed ? [] : clientSeeds.slice();
+  state.game_nonce = seed ? null : nonce;
+  state.game_seed = seed || sha256([nonce, ...state.game_client_seeds].join(":")).slice(0, 16);
+  state.state = GAME_STATES.WAITING;
+  state.current_round = 1;
+  state.round_deal = 0;
+  state.cards_this_round = state.round_schedule[0];
+  state.turn_index = 0;
+  state.scores = {};
+  state.players.forEach(player => {
+    state.scores[player.id] = 0;
+  });
+  state.game_log = {
+    id,
+    roomCode,
+    startedAt,
+    config: state.gameConfig,
+    seed: state.game_seed,
+    nonce: state.game_nonce,
+    clientSeeds: state.game_client_seeds,
+    players: state.players.map(p => p.name),
+    rounds: []
+  };
+}
+
+// Shuffle and deal the current round, set its trump and open the bidding
+export function dealRound(state) {
+  // Each round's shuffle comes from the game's seed, so a room created with that seed deals the same hands
+  state.round_deal++;
+  const seed = roundSeed(state);
+  const random = createRng(seed);
+  const deck = createDeck(state.number_of_decks, random);
+  const players = state.players;
+
+  // Reset round-specific state
+  state.predictions = {};
+  state.tricks_won = {};
+  state.current_trick = [];
+  state.current_play_order = [];
+  state.next_player_index = 0;
+  players.forEach(player => {
+    state.tricks_won[player.id] = 0;
+  });
+
+  // Enter predicting state immediately to block early plays
+  state.state = GAME_STATES.PREDICTING;
+
+  // Cards go out in seat order, each player taking the next block of the deck
+  state.playerHands = {};
+  players.forEach(player => {
+    state.playerHands[player.id] = deck.splice(0, state.cards_this_round);
+  });
+
+  const { trump, trumpCard } = chooseRoundTrump(state, deck, random);
+  state.trump = trump;
+  state.trump_card = trumpCard || null;
+  state.trump_chooser = null;
+
+  // Bidding starts one seat further along each round
+  const leaderIndex = state.turn_index % players.length;
+  const predictionOrder = players.slice(leaderIndex).concat(players.slice(0, leaderIndex));
+  state.predictionOrder = predictionOrder.map(p => p.id);
+
+  // A round dealt again after a player left replaces the unfinished one in the log
+  const unfinishedRound = currentLogRound(state);
+  if (unfinishedRound && !unfinishedRound.results) {
+    unfinishedRound.abandoned = true;
+  }
+  if (state.game_log) {
+    state.game_log.rounds.push({
+      round: state.current_round,
+      deal: state.round_deal,
+      cardsThisRound: state.cards_this_round,
+      seed,
+      commitment: sha256(seed),
+      trump,
+      trumpCard: state.trump_card,
+      hands: players.reduce((acc, player) => {
+        acc[player.name] = state.playerHands[player.id].slice();
+        return acc;
+      }, {}),
+      predictions: [],
+      tricks: []
+    });
+  }
+
+  const events = [roomEvent("roundStart", {
+    round: state.current_round,
+    cardsThisRound: state.cards_this_round,
+    trump,
+    trumpCard: state.trump_card,
+    firstPlayer: predictionOrder[0].name,
+    schedule: state.round_schedule,
+    // The seed behind this deal stays hidden until roundEnd, when clients check it against this hash
+    commitment: sha256(seed)
+  })];
+  players.forEach(player => {
+    events.push({ to: player.id, name: "yourCards", data: state.playerHands[player.id] });
+  });
+  // Give everyone a moment to look at their cards before the first bid is asked for
+  return { events, next: "requestPrediction" };
+}
+
+function requestPrediction(state) {
+  const predictionOrder = state.predictionOrder.map(id => state.players.find(p => p.id === id));
+  return {
+    events: [roomEvent("requestPrediction", {
+      playerOrder: predictionOrder.map(p => p.name),
+      currentPlayer: predictionOrder[0].name,
+      maxPrediction: state.cards_this_round,
+      isLast: state.predictionOrder.length === 1,
+      forbidden: forbiddenPrediction(state)
+    })],
+    next: null
+  };
+}
+
+// Record playerId's prediction
+export function predict(state, playerId, prediction) {
+  if (!state || state.state !== GAME_STATES.PREDICTING) {
+    return { error: "Not in prediction phase" };
+  }
+
+  const pauseError = pauseReason(state);
+  if (pauseError) {
+    return { error: pauseError };
+  }
+
+  const player = state.players.find(p => p.id === playerId);
+  if (!player) {
+    return { error: "Player not found in room" };
+  }
+
+  if (prediction < 0 || prediction > state.cards_this_round) {
+    return { error: `Prediction must be between 0 and ${state.cards_this_round}` };
+  }
+
+  // Predictions are taken strictly in order so the last bidder is well defined
+  if ((state.predictionOrder || [])[0] !== playerId) {
+    return { error: "It's not your turn to predict" };
+  }
+
+  if (prediction === forbiddenPrediction(state)) {
+    return { error: "Last player's prediction cannot make total equal to number of tricks" };
+  }
+
+  state.predictions[playerId] = prediction;
+  state.predictionOrder = state.predictionOrder.filter(id => id !== playerId);
+  const logRound = currentLogRound(state);
+  if (logRound) logRound.predictions.push({ player: player.name, prediction });
+
+  const events = [roomEvent("predictionMade", { playerName: player.name, prediction })];
+  if (Object.keys(state.predictions).length < state.players.length) {
+    events.push(...turnPromptEvents(state));
+    return { events, next: null };
+  }
+  if (state.trump === null) {
+    return withEvents(events, askForTrump(state));
+  }
+  return withEvents(events, finishPredictions(state));
+}
+
+// Bidding is over in a "bidder" round: the highest bidder, earliest on a tie, names trump
+function askForTrump(state) {
+  const logRound = currentLogRound(state);
+  const biddingOrder = logRound
+    ? logRound.predictions.map(({ player }) => state.players.find(p => p.name === player)).filter(Boolean)
+    : state.players;
+  const chooser = biddingOrder.reduce((best, player) =>
+    state.predictions[player.id] > state.predictions[best.id] ? player : best
+  );
+
+  state.trump_chooser = chooser.id;
+  return { events: turnPromptEvents(state), next: null };
+}
+
+// Set the trump named by the highest bidder
+export function nameTrump(state, playerId, suit) {
+  if (!state || state.state !== GAME_STATES.PREDICTING || !state.trump_chooser) {
+    return { error: "Nobody is naming trump right now" };
+  }
+  const pauseError = pauseReason(state);
+  if (pauseError) {
+    return { error: pauseError };
+  }
+  if (state.trump_chooser !== playerId) {
+    return { error: "Only the highest bidder can name trump" };
+  }
+  if (suit !== NO_TRUMP && !SUITS.includes(suit)) {
+    return { error: "Pick a suit or no trump" };
+  }
+
+  state.trump = suit;
+  state.trump_chooser = null;
+  const logRound = currentLogRound(state);
+  if (logRound) logRound.trump = suit;
+  return withEvents([roomEvent("trumpNamed", { playerName: playerNameById(state, playerId), trump: suit })], finishPredictions(state));
+}
+
+// Everyone has bid: play starts with the player who bid first
+function finishPredictions(state) {
+  state.state = GAME_STATES.PLAYING;
+  const leaderIndex = state.turn_index % state.players.length;
+  const playOrder = state.players.slice(leaderIndex).concat(state.players.slice(0, leaderIndex));
+  state.current_play_order = playOrder.map(p => p.id);
+  state.next_player_index = 0;
+
+  return {
+    events: [
+      roomEvent("allPredictionsMade", byName(state, state.predictions)),
+      roomEvent("playPhaseStart", { firstPlayer: playOrder[0].name, playOrder: playOrder.map(p => p.name) })
+    ],
+    next: "firstPlay"
+  };
+}
+
+// trumpSuit is NO_TRUMP in a no-trump round, so only the lead suit can win
+export function determineTrickWinner(trick, trumpSuit) {
+  const leadSuit = trick[0].card.suit;
+  let winningCard = trick[0];
+  let winningValue = getCardValue(trick[0].card.rank);
+  let isTrump = (trick[0].card.suit === trumpSuit);
+
+  for (let i = 1; i < trick.length; i++) {
+    const currentCard = trick[i];
+    const currentValue = getCardValue(currentCard.card.rank);
+    const currentIsTrump = (currentCard.card.suit === trumpSuit);
+
+    if (currentIsTrump && !isTrump) {
+      winningCard = currentCard;
+      winningValue = currentValue;
+      isTrump = true;
+    } else if (currentIsTrump && isTrump) {
+      if (currentValue > winningValue) {
+        winningCard = currentCard;
+        winningValue = currentValue;
+      } else if (currentValue === winningValue) {
+        winningCard = currentCard;
+      }
+    } else if (!currentIsTrump && !isTrump && currentCard.card.suit === leadSuit) {
+      if (currentValue > winningValue) {
+        winningCard = currentCard;
+        winningValue = currentValue;
+      } else if (currentValue === winningValue) {
+        winningCard = currentCard;
+      }
+    }
+    // If card doesn't follow suit and isn't trump, it can't win
+  }
+
+  return winningCard;
+}
+
+// Whether player's card cardId already went into the trick on the table, or into the trick just
+// won while the next one waits to be led
+function alreadyPlayed(state, player, cardId) {
+  if (state.current_trick.some(play => play.playerId === player.id && play.card.id === cardId)) return true;
+  const logRound = state.current_trick.length === 0 && state.pending_transition ? currentLogRound(state) : null;
+  const lastTrick = logRound && logRound.tricks[logRound.tricks.length - 1];
+  return !!lastTrick && lastTrick.plays.some(play => play.player === player.name && play.card.id === cardId);
+}
+
+// Play the card with id cardId from playerId's hand. Ids don't shift as the hand shrinks, so a
+// repeated request for a card already played can never play another one; it comes back as
+// { repeated: true } with nothing to do, since the first request went through
+export function play(state, playerId, cardId) {
+  if (!state || state.state !== GAME_STATES.PLAYING) {
+    return { error: "Not in play phase" };
+  }
+
+  const pauseError = pauseReason(state);
+  if (pauseError) {
+    return { error: pauseError };
+  }
+
+  const player = state.players.find(p => p.id === playerId);
+  if (!player) {
+    return { error: "Player not found" };
+  }
+
+  if (alreadyPlayed(state, player, cardId)) {
+    return { repeated: true };
+  }
+
+  if (playerId !== state.current_play_order[state.next_player_index]) {
+    return { error: "It's not your turn to play" };
+  }
+
+  const hand = state.playerHands[playerId] || [];
+  const cardIndex = hand.findIndex(card => card.id === cardId);
+  if (cardIndex === -1) {
+    return { error: "That card is not in your hand" };
+  }
+
+  if (!legalCardIndices(hand, state.current_trick).includes(cardIndex)) {
+    return { error: "You must follow the lead suit if possible" };
+  }
+
+  const card = hand[cardIndex];
+  state.playerHands[playerId] = hand.filter((_, index) => index !== cardIndex);
+  state.current_trick.push({ playerId, playerName: player.name, card });
+  state.next_player_index = (state.next_player_index + 1) % state.players.length;
+
+  const events = [
+    { to: playerId, name: "yourCards", data: state.playerHands[playerId] },
+    roomEvent("cardPlayed", { playerName: player.name, card })
+  ];
+  if (state.current_trick.length < state.players.length) {
+    events.push(...turnPromptEvents(state));
+    return { events, next: null };
+  }
+
+  const winningPlay = determineTrickWinner(state.current_trick, state.trump);
+  state.tricks_won[winningPlay.playerId] = (state.tricks_won[winningPlay.playerId] || 0) + 1;
+
+  const logRound = currentLogRound(state);
+  if (logRound) {
+    logRound.tricks.push({
+      plays: state.current_trick.map(play => ({ player: play.playerName, card: play.card })),
+      winner: winningPlay.playerName
+    });
+  }
+
+  events.push(roomEvent("trickWon", {
+    playerName: winningPlay.playerName,
+    trick: state.current_trick,
+    tricksWon: byName(state, state.tricks_won, 0)
+  }));
+  state.current_trick = [];
+
+  // The round is over once every card has been played
+  const totalTricksPlayed = Object.values(state.tricks_won).reduce((sum, t) => sum + t, 0);
+  if (totalTricksPlayed === state.cards_this_round) {
+    return { events, next: "endRound" };
+  }
+
+  // The winner leads the next trick
+  const winnerIndex = state.players.findIndex(p => p.id === winningPlay.playerId);
+  const playOrder = state.players.slice(winnerIndex).concat(state.players.slice(0, winnerIndex));
+  state.current_play_order = playOrder.map(p => p.id);
+  state.next_player_index = 0;
+  return { events, next: "nextTrick" };
+}
+
+function startNextTrick(state) {
+  const playOrder = state.current_play_order.map(id => state.players.find(p => p.id === id));
+  return {
+    events: [
+      roomEvent("nextTrick", { firstPlayer: playOrder[0].name, playOrder: playOrder.map(p => p.name) }),
+      ...turnPromptEvents(state)
+    ],
+    next: null
+  };
+}
+
+// Score the round and move along the schedule. After the last round the result also carries
+// gameOver: { finalScores }, the game log is complete and the state is back to WAITING
+function endRound(state) {
+  state.state = GAME_STATES.SCORING;
+
+  const scoresBefore = { ...state.scores };
+  state.players.forEach(player => {
+    state.scores[player.id] += scoreRound(
+      { bid: state.predictions[player.id] || 0, tricks: state.tricks_won[player.id] || 0, cards: state.cards_this_round },
+      state.gameConfig.scoring
+    );
+  });
+
+  const playerScores = byName(state, state.scores);
+  const playerPredictions = state.players.reduce((acc, player) => {
+    acc[player.name] = {
+      predicted: state.predictions[player.id] || 0,
+      actual: state.tricks_won[player.id] || 0,
+      delta: state.scores[player.id] - (scoresBefore[player.id] || 0)
+    };
+    return acc;
+  }, {});
+
+  const logRound = currentLogRound(state);
+  if (logRound) {
+    logRound.results = state.players.reduce((acc, player) => {
+      acc[player.name] = { ...playerPredictions[player.name], total: state.scores[player.id] };
+      return acc;
+    }, {});
+  }
+
+  const events = [roomEvent("roundEnd", {
+    predictions: playerPredictions,
+    tricksWon: state.tricks_won,
+    scores: playerScores,
+    // Everything needed to shuffle the deck again and check each hand: cards go out in seat order
+    deal: {
+      seed: roundSeed(state),
+      number: state.round_deal, // 1 unless the round was restarted
+      decks: state.number_of_decks,
+      cardsThisRound: state.cards_this_round,
+      seats: state.players.map(p => p.name)
+    }
+  })];
+
+  state.turn_index = (state.turn_index + 1) % state.players.length;
+
+  if (state.current_round >= state.round_schedule.length) {
+    state.state = GAME_STATES.WAITING;
+    if (state.game_log) {
+      state.game_log.endedAt = new Date().toISOString();
+      state.game_log.finalScores = playerScores;
+    }
+    return { events, next: null, gameOver: { finalScores: playerScores } };
+  }
+
+  state.current_round++;
+  state.round_deal = 0;
+  state.cards_this_round = state.round_schedule[state.current_round - 1];
+  return { events, next: "startRound" };
+}
+
+// Run a transition an earlier result asked for
+export function advance(state, type) {
+  if (type === "requestPrediction") return requestPrediction(state);
+  if (type === "firstPlay") return { events: turnPromptEvents(state), next: null };
+  if (type === "nextTrick") return startNextTrick(state);
+  if (type === "endRound") return endRound(state);
+  if (type === "startRound") return dealRound(state);
+  return { error: `Unknown transition ${type}` };
+}
+
+function withEvents(events, result) {
+  return { ...result, events: events.concat(result.events) };
+}
@@ -1,8 +1,23 @@
 import express from "express";
 import http from "http";
 import { Server } from "socket.io";
-import { createDeck } from "./public/deck.js";
+import { getCardValue } from "./public/deck.js";
+import { chooseBotPrediction, chooseBotCard, chooseBotTrump, BOT_DIFFICULTIES } from "./bots.js";
+import {
+  GAME_STATES, SUITS, NO_TRUMP, validateGameConfig, validateTrumpConfig, buildRoundSchedule, validateRoundSchedule,
+  trumpCycle, legalCardIndices, legalCardIds, pauseReason, currentTurnPlayer, forbiddenPrediction, turnPromptEvents,
+  beginGame, dealRound, predict, nameTrump, play, advance, nonceCommitment, playerNameById, byName
+} from "./engine.js";
 import compression from "compression";
+import { randomUUID } from "crypto";
+import { loadRooms, loadTournaments, saveRooms, saveGameLog, loadGameLog, loadProfiles, saveProfiles } from "./store.js";
+import { resolveScoring } from "./scoring.js";
+import { validateTournament, seatingForGame, tournamentStandings, newTournamentSeed } from "./tournament.js";
+import { claimProfile, recordGame, revealGameId, leaderboard, playerHistory } from "./profiles.js";
+import { playerStats } from "./stats.js";
+import { validatePayload } from "./payloads.js";
+import { createScheduler } from "./scheduler.js";
+import { validateMatchGames, newMatch, recordMatchGame, matchStandings, matchDecided, matchUnderway } from "./match.js";
 
 const app = express();
 const server = http.createServer(app);
@@ -18,629 +33,2001 @@ app.use(express.static("public", {
   immutable: true
 }));
 
+// Event log of a finished game; ?download=1 serves it as a file
+app.get("/api/games/:gameId", async (req, res) => {
+  const log = await loadGameLog(req.params.gameId);
+  if (!log) {
+    return res.status(404).json({ error: "Game not found" });
+  }
+  if (req.query.download) {
+    res.attachment(`judgment-game-${log.id}.json`);
+  }
+  res.json(log);
+});
+
+// Public rooms for the lobby browser; rooms created as private never show up here
+app.get("/api/rooms", (req, res) => {
+  const list = Object.entries(rooms)
+    .filter(([, room]) => room.gameConfig.isPublic)
+    .map(([roomCode, room]) => ({
+      roomCode,
+      host: playerNameById(room, room.host),
+      players: room.players.length,
+      maxPlayers: room.maxPlayers,
+      spectators: room.spectators.length,
+      state: room.state,
+      locked: !!room.locked,
+      config: room.gameConfig
+    }));
+  res.set("Cache-Control", "no-store");
+  res.json({ rooms: list });
+});
+
+// Rated players, best first
+app.get("/api/leaderboard", (req, res) => {
+  res.set("Cache-Control", "no-store");
+  res.json({ players: leaderboard(profileDb) });
+});
+
+// One player's profile and recent games
+app.get("/api/players/:name", (req, res) => {
+  const player = playerHistory(profileDb, req.params.name);
+  if (!player) {
+    return res.status(404).json({ error: "Player not found" });
+  }
+  res.set("Cache-Control", "no-store");
+  res.json(player);
+});
+
+// How many of a player's latest games the stats page reads the logs of
+const STATS_GAMES = 50;
+
+// Bidding and play statistics over a player's recent games, worked out from their logs
+app.get("/api/players/:name/stats", async (req, res) => {
+  const player = playerHistory(profileDb, req.params.name, STATS_GAMES);
+  if (!player) {
+    return res.status(404).json({ error: "Player not found" });
+  }
+  const recent = player.history.filter(game => game.gameId).reverse();
+  const logs = await Promise.all(recent.map(game => loadGameLog(game.gameId)));
+  const games = recent
+    .map((game, i) => ({ log: logs[i], name: game.playedAs }))
+    .filter(game => game.log);
+  res.set("Cache-Control", "no-store");
+  res.json({ name: player.name, ...playerStats(games) });
+});
+
 // const PORT = 3000;
 // server.listen(PORT, () => console.log(`Server running on http://localhost:${PORT}`));
 
-const PORT = process.env.PORT || 3000;
-server.listen(PORT, () => console.log(`Server running on port ${PORT}`));
+const PORT = process.env.PORT || 3000;
+server.listen(PORT, () => console.log(`Server running on port ${PORT}`));
+
+/** GAME STATE **/
+// Rooms from before a restart are picked up again by restoreRooms() at the bottom of this file
+// Keyed by codes players choose, so without a prototype: a code like "constructor" finds nothing
+let rooms = Object.assign(Object.create(null), loadRooms());
+let tournaments = Object.assign(Object.create(null), loadTournaments());
+const profileDb = loadProfiles();
+let saveScheduled = false;
+
+// Save every room once the current event or timer has finished changing state
+function persistRooms() {
+  if (saveScheduled) return;
+  saveScheduled = true;
+  setImmediate(() => {
+    saveScheduled = false;
+    // Spectators are tied to live sockets and simply rejoin after a restart
+    const snapshot = Object.create(null);
+    for (const [roomCode, room] of Object.entries(rooms)) {
+      snapshot[roomCode] = { ...room, spectators: [] };
+    }
+    try {
+      saveRooms(snapshot, tournaments);
+    } catch (err) {
+      console.error(`Could not save rooms: ${err.message}`);
+    }
+  });
+}
+
+// Profiles change rarely (a new name, a finished game), so they are written straight away
+function persistProfiles() {
+  try {
+    saveProfiles(profileDb);
+  } catch (err) {
+    console.error(`Could not save profiles: ${err.message}`);
+  }
+}
+
+// Chat limits: message length, history kept per game, and how many messages or reactions
+// one socket may send within the rate window
+const CHAT_MAX_LENGTH = 300;
+const CHAT_HISTORY_LIMIT = 100;
+const CHAT_RATE_WINDOW_MS = 10000;
+const CHAT_RATE_MAX = 6;
+
+// One-tap reactions, by the id clients send
+const REACTIONS = {
+  niceTrick: "👏 Nice trick!",
+  wow: "😮",
+  laugh: "😂",
+  ouch: "😬",
+  fire: "🔥",
+  gg: "🤝 GG"
+};
+
+// Times of each socket's recent chat messages and reactions, keyed by socket id
+const chatActivity = {};
+
+// Requests of any kind one socket may send within the rate window, well above what playing needs
+const EVENT_RATE_WINDOW_MS = 5000;
+const EVENT_RATE_MAX = 40;
+
+// { times, warned } of each socket's recent requests, keyed by socket id
+const eventActivity = {};
+
+// Rooms and tournaments one socket can be seated in at once, so nobody can open them without end
+const MAX_ROOMS_PER_SOCKET = 3;
+
+// How long a disconnected player's seat is held before the game continues without them
+const DEFAULT_RECONNECT_GRACE_SECONDS = parseInt(process.env.RECONNECT_GRACE_SECONDS, 10) || 60;
+
+// Rooms nobody has sent anything to for this long are closed. A tournament goes the same way once
+// neither it nor any of its tables has heard from anyone, and its tables close with it
+const ROOM_IDLE_MINUTES = parseFloat(process.env.ROOM_IDLE_MINUTES) || 30;
+
+// Each room's timers, keyed by room code: "transition" for the pending round or trick step,
+// "turn" for the automatic move, "seat:<token>" for held seats, "idle" for expiry. Tournaments
+// keep theirs under their channel name, with "break" for the pause between games and "idle"
+const schedulers = Object.create(null);
+
+// Delay before a bot (or a player marked away) acts, so humans can follow what it played
+const BOT_THINK_MS = 1200;
+
+// Pause after each step of a round before the next one, so everyone can see what happened:
+// the deal before bidding, the last bid before the first card, a finished trick or round
+const TRANSITION_DELAYS = {
+  requestPrediction: 1500,
+  firstPlay: 1000,
+  nextTrick: 4000,
+  endRound: 4000,
+  startRound: 5000
+};
+
+// Break between tournament games, long enough to read the standings
+const TOURNAMENT_BREAK_MS = 10000;
+
+function roomTimers(roomCode) {
+  return schedulers[roomCode] || (schedulers[roomCode] = createScheduler());
+}
+
+// Codes can't contain ":", so a tournament's key never clashes with a room's
+function tournamentTimers(code) {
+  return roomTimers(tournamentChannel(code));
+}
+
+function clearTurnTimer(roomCode) {
+  roomTimers(roomCode).clear("turn");
+}
+
+// Whether socketId may send another chat message or reaction now; counts it if so
+function allowChat(socketId) {
+  const now = Date.now();
+  const recent = (chatActivity[socketId] || []).filter(time => now - time < CHAT_RATE_WINDOW_MS);
+  const allowed = recent.length < CHAT_RATE_MAX;
+  if (allowed) recent.push(now);
+  chatActivity[socketId] = recent;
+  return allowed;
+}
+
+// Whether socketId may send another request now; counts it if so. A socket that was turned
+// away is told once, and again only after it has slowed down
+function allowEvent(socketId) {
+  const now = Date.now();
+  const activity = eventActivity[socketId] || (eventActivity[socketId] = { times: [], warned: false });
+  activity.times = activity.times.filter(time => now - time < EVENT_RATE_WINDOW_MS);
+  if (activity.times.length >= EVENT_RATE_MAX) return false;
+  activity.times.push(now);
+  activity.warned = false;
+  return true;
+}
+
+// How many rooms socketId has a seat in and tournaments it has entered
+function openCommitments(socketId) {
+  const seats = Object.values(rooms).filter(room => room.players.some(p => p.id === socketId)).length;
+  const entries = Object.values(tournaments).filter(t => t.entrants.some(e => e.id === socketId)).length;
+  return seats + entries;
+}
+
+// The player or spectator behind socketId in room, if any
+function roomMember(room, socketId) {
+  const player = room.players.find(p => p.id === socketId);
+  if (player) return { name: player.name, spectator: false };
+  const spectator = room.spectators.find(s => s.id === socketId);
+  return spectator ? { name: spectator.name, spectator: true } : null;
+}
+
+// The lowest legal card in hand, keeping trumps back where possible; null with an empty hand
+function lowestLegalCard(hand, trick, trump) {
+  const legal = legalCardIndices(hand, trick);
+  if (legal.length === 0) return null;
+  const weight = (i) => getCardValue(hand[i].rank) + (hand[i].suit === trump ? 20 : 0);
+  return hand[legal.reduce((lowest, i) => weight(i) < weight(lowest) ? i : lowest)];
+}
+
+// Move every piece of per-player state from an old socket id to a new one
+function rebindPlayerId(room, oldId, newId) {
+  const player = room.players.find(p => p.id === oldId);
+  if (player) player.id = newId;
+  if (room.host === oldId) room.host = newId;
+  if (room.trump_chooser === oldId) room.trump_chooser = newId;
+
+  for (const key of ["predictions", "tricks_won", "scores", "playerHands"]) {
+    if (room[key] && Object.prototype.hasOwnProperty.call(room[key], oldId)) {
+      room[key][newId] = room[key][oldId];
+      delete room[key][oldId];
+    }
+  }
+
+  if (Array.isArray(room.predictionOrder)) {
+    room.predictionOrder = room.predictionOrder.map(id => id === oldId ? newId : id);
+  }
+  if (Array.isArray(room.current_play_order)) {
+    room.current_play_order = room.current_play_order.map(id => id === oldId ? newId : id);
+  }
+  room.current_trick.forEach(play => {
+    if (play.playerId === oldId) play.playerId = newId;
+  });
+}
+
+// Player list payload shared by the lobby and in-game views
+function playerListPayload(room) {
+  const host = room.players.find(p => p.id === room.host);
+  return {
+    players: room.players.map(p => p.name),
+    offline: room.players.filter(p => !p.connected).map(p => p.name),
+    away: room.players.filter(p => p.away).map(p => p.name),
+    bots: room.players.filter(p => p.isBot).map(p => p.name),
+    host: host ? host.name : null,
+    spectators: room.spectators.map(s => s.name),
+    locked: !!room.locked,
+    hostPaused: !!room.host_paused,
+    config: room.gameConfig,
+    // Published before anyone's seed is final, so the nonce revealed at game over can't have been picked to suit them
+    nonceCommitment: nonceCommitment(room.next_nonce)
+  };
+}
+
+// Where the room's match stands; tournament tables have no match of their own
+function matchPayload(room) {
+  if (room.tournament) return null;
+  const { games, results, votes } = room.match;
+  return {
+    games,
+    results: results.map(({ game, gameId, winners }) => ({ game, gameId, winners })),
+    standings: matchStandings(room.match),
+    decided: matchDecided(room.match),
+    votes,
+    voters: room.players.filter(p => !p.isBot).map(p => p.name)
+  };
+}
+
+// Socket.IO room that only spectators of roomCode are in
+function spectatorChannel(roomCode) {
+  return `${roomCode}:spectators`;
+}
+
+// The prompt the current player is waiting on, as the client would have received it; null between steps.
+// Only the player on turn is told which of their cards are legal
+function describeTurn(room, viewerId) {
+  const player = currentTurnPlayer(room);
+  if (!player || room.pending_transition) return null;
+
+  if (room.state === GAME_STATES.PREDICTING && room.trump_chooser) {
+    return { type: "nameTrump", playerName: player.name, options: [...SUITS, NO_TRUMP] };
+  }
+  if (room.state === GAME_STATES.PREDICTING) {
+    const forbidden = forbiddenPrediction(room);
+    return {
+      type: "predict",
+      playerName: player.name,
+      maxPrediction: room.cards_this_round,
+      isLast: forbidden !== null,
+      forbidden
+    };
+  }
+  if (player.id !== viewerId) return { type: "play", playerName: player.name };
+  return { type: "play", playerName: player.name, legalCards: legalCardIds(room.playerHands[player.id] || [], room.current_trick) };
+}
+
+// Complete view of a room for one viewer: only their own hand is included, and spectators get none.
+// Sent on request and whenever a player or spectator (re)connects, so the client never has to
+// piece its view together from events it may have missed.
+function buildRoomState(room, roomCode, viewerId) {
+  const player = room.players.find(p => p.id === viewerId);
+  const spectator = !player && room.spectators.find(s => s.id === viewerId);
+
+  const currentPlayer = currentTurnPlayer(room);
+  const turnTimer = roomTimers(roomCode).get("turn");
+  const turnRunning = turnTimer && currentPlayer && !currentPlayer.isBot && !currentPlayer.away;
+
+  return {
+    roomCode,
+    playerName: (player || spectator).name,
+    isHost: room.host === viewerId,
+    spectator: !!spectator,
+    phase: room.state,
+    players: playerListPayload(room),
+    paused: !!room.paused,
+    hostPaused: !!room.host_paused,
+    round: room.current_round,
+    cardsThisRound: room.cards_this_round,
+    schedule: room.round_schedule,
+    trump: room.trump,
+    trumpCard: room.trump_card || null,
+    trumpChooser: playerNameById(room, room.trump_chooser),
+    predictions: byName(room, room.predictions),
+    tricksWon: byName(room, room.tricks_won),
+    scores: byName(room, room.scores),
+    currentTrick: room.current_trick.map(play => ({ playerName: play.playerName, card: play.card })),
+    playOrder: room.current_play_order.map(id => (room.players.find(p => p.id === id) || {}).name),
+    predictionOrder: (room.predictionOrder || []).map(id => playerNameById(room, id)),
+    currentPlayer: currentPlayer ? currentPlayer.name : null,
+    turn: describeTurn(room, viewerId),
+    // Score change per finished round of the current game, for the scoreboard rows
+    roundHistory: (room.game_log ? room.game_log.rounds : [])
+      .filter(round => round.results)
+      .map(round => ({
+        round: round.round,
+        deltas: Object.keys(round.results).reduce((acc, name) => {
+          acc[name] = round.results[name].delta;
+          return acc;
+        }, {})
+      })),
+    chat: room.chat || [],
+    match: matchPayload(room),
+    turnSecondsLeft: turnRunning ? Math.max(0, Math.ceil((turnTimer.due - Date.now()) / 1000)) : null,
+    hand: player ? (room.playerHands[viewerId] || []) : []
+  };
+}
+
+// The profile a player's results are saved under: { profile } (null for guests) or { error }
+function seatProfile(playerName, profileSecret) {
+  if (profileSecret === undefined || profileSecret === null) return { profile: null };
+  const { error, key } = claimProfile(profileDb, playerName, profileSecret);
+  if (error) return { error };
+  persistProfiles();
+  return { profile: key };
+}
+
+// Add a finished game to the results database; returns the rating changes by player name.
+// A bot covering a player's seat plays on their behalf, so the result still counts for them
+function recordProfileResults(room, roomCode, gameId) {
+  const ratings = recordGame(profileDb, {
+    gameId,
+    roomCode,
+    results: room.players.map(p => ({ name: p.name, profile: p.profile || null, score: room.scores[p.id] }))
+  });
+  persistProfiles();
+  return ratings;
+}
+
+// Set up a new game on the room: fresh scores, its own seed and a new log of deals, trumps,
+// predictions, every card and each round's scores
+function newGame(roomCode) {
+  const room = rooms[roomCode];
+  // The host's seed only deals the first game; the flag goes once the players' seeds count again
+  if (room.gameConfig.hostSeeded && !room.first_seed) room.gameConfig = { ...room.gameConfig, hostSeeded: false };
+  // Unless the host fixed the deal, the players' own seeds go into it alongside the server's nonce
+  beginGame(room, {
+    id: randomUUID(),
+    roomCode,
+    seed: room.first_seed,
+    nonce: room.next_nonce,
+    clientSeeds: room.players.filter(p => p.client_seed).map(p => p.client_seed)
+  });
+  room.first_seed = null;
+  room.next_nonce = randomUUID();
+  // Chat history covers one game, like the log
+  room.chat = [];
+}
+
+// Emit an engine event to its recipient: the whole room, or the one player it is addressed to
+function sendEvent(roomCode, { to, name, data }, recipient = to === "room" ? roomCode : to) {
+  if (data === undefined) io.to(recipient).emit(name);
+  else io.to(recipient).emit(name, data);
+}
+
+// Deliver what the engine reports and arrange what comes next: the pending transition after its
+// pause, or the turn clock when the game is waiting on a player
+function dispatch(roomCode, result) {
+  result.events.forEach(event => sendEvent(roomCode, event));
+  if (result.next) scheduleTransition(roomCode, result.next, TRANSITION_DELAYS[result.next]);
+  else scheduleTurn(roomCode);
+  persistRooms();
+}
+
+// Record playerId's prediction; returns an error message if it isn't allowed
+function applyPrediction(roomCode, playerId, prediction) {
+  const result = predict(rooms[roomCode], playerId, prediction);
+  if (result.error) return result.error;
+  clearTurnTimer(roomCode);
+  console.log(`Player ${playerNameById(rooms[roomCode], playerId)} predicted ${prediction} tricks`);
+  dispatch(roomCode, result);
+  return null;
+}
+
+// Set the trump named by the highest bidder; returns an error message if it isn't allowed
+function applyTrumpChoice(roomCode, playerId, suit) {
+  const result = nameTrump(rooms[roomCode], playerId, suit);
+  if (result.error) return result.error;
+  clearTurnTimer(roomCode);
+  dispatch(roomCode, result);
+  return null;
+}
+
+// Play a card from playerId's hand by its id; returns an error message if it isn't allowed
+function applyCardPlay(roomCode, playerId, cardId) {
+  const result = play(rooms[roomCode], playerId, cardId);
+  if (result.error) return result.error;
+  if (result.repeated) return null;
+  clearTurnTimer(roomCode);
+  dispatch(roomCode, result);
+  shareHandsWithSpectators(roomCode);
+  return null;
+}
+
+function startRound(roomCode) {
+  const room = rooms[roomCode];
+  clearTurnTimer(roomCode);
+  dispatch(roomCode, dealRound(room));
+  shareHandsWithSpectators(roomCode);
+  console.log(`Starting round ${room.current_round} in room ${roomCode}`);
+  console.log(`Trump: ${room.trump || "named after bidding"}, Cards this round: ${room.cards_this_round}`);
+}
+
+function endRound(roomCode) {
+  const room = rooms[roomCode];
+  console.log(`Round ${room.current_round} ended in room ${roomCode}`);
+  const result = advance(room, "endRound");
+  // The other tables of a tournament may still be playing this deal, so its seed waits for revealTableDeals
+  if (room.tournament) {
+    result.events = result.events.map(event => event.name === "roundEnd" ? { ...event, data: { ...event.data, deal: null } } : event);
+  }
+  dispatch(roomCode, result);
+  if (!result.gameOver) return;
+
+  // Store the game's log so it can be exported and replayed
+  const { finalScores } = result.gameOver;
+  let gameId = null;
+  if (room.game_log) {
+    gameId = room.game_log.id;
+    try {
+      saveGameLog(room.game_log);
+    } catch (err) {
+      console.error(`Could not save game log ${gameId}: ${err.message}`);
+      gameId = null;
+    }
+  }
+
+  console.log(`Game over in room ${roomCode}`);
+  // A tournament table's log stays private until the other tables are done, history included
+  const ratings = recordProfileResults(room, roomCode, room.tournament ? null : gameId);
+  if (!room.tournament) recordMatchGame(room.match, finalScores, gameId);
+  // Other tournament tables may still be playing these hands, so the seed and log stay secret for now
+  io.to(roomCode).emit("gameOver", {
+    finalScores: finalScores,
+    gameId: room.tournament ? null : gameId,
+    seed: room.tournament ? null : room.game_seed,
+    nonce: room.game_nonce,
+    clientSeeds: room.game_client_seeds,
+    nonceCommitment: nonceCommitment(room.next_nonce), // For the next game, committed before anyone picks a fresh seed
+    ratings,
+    match: matchPayload(room)
+  });
+
+  // Tournament tables don't restart; the tournament seats everyone afresh for its next game
+  if (room.tournament) {
+    recordTournamentTable(roomCode, finalScores, gameId);
+    return;
+  }
+
+  // The next game waits for the players to vote for it, or for the host to start it
+  persistRooms();
+}
+
+// Deal the next game of the match, or the first game of a new match once this one is decided
+function startNextGame(roomCode) {
+  const room = rooms[roomCode];
+  if (matchDecided(room.match)) room.match = newMatch(room.gameConfig.matchGames);
+  room.match.votes = [];
+  console.log(`Game ${room.match.results.length + 1} of ${room.match.games} starting in room ${roomCode} with ${room.players.length} players`);
+  newGame(roomCode);
+  startRound(roomCode);
+}
+
+// Between games, start the next one as soon as every human at the table has voted for it; bots always agree
+function checkRematchVotes(roomCode) {
+  const room = rooms[roomCode];
+  if (room.state !== GAME_STATES.WAITING || !matchUnderway(room.match)) return;
+  const humans = room.players.filter(p => !p.isBot);
+  if (humans.length > 0 && humans.every(p => room.match.votes.includes(p.name))) startNextGame(roomCode);
+}
+
+// Abandon the match and send everyone back to the lobby, where players can join and settings change
+function returnToLobby(roomCode, reason = null) {
+  const room = rooms[roomCode];
+  room.match = newMatch(room.gameConfig.matchGames);
+  io.to(roomCode).emit("returnedToLobby", { reason });
+  io.to(roomCode).emit("playerList", playerListPayload(room));
+  persistRooms();
+}
+
+// If the host allows it, show spectators every hand once the configured delay has passed
+function shareHandsWithSpectators(roomCode, target = spectatorChannel(roomCode)) {
+  const room = rooms[roomCode];
+  const delay = room.gameConfig.spectatorHandsDelay;
+  if (delay === null) return;
+
+  // Copy now so the delayed view shows the hands as they were at this moment
+  const hands = room.players.reduce((acc, player) => {
+    acc[player.name] = (room.playerHands[player.id] || []).slice();
+    return acc;
+  }, {});
+  roomTimers(roomCode).later(delay * 1000, () => io.to(target).emit("spectatorHands", { hands }));
+}
+
+// Re-send the pending prediction or play prompt; with playerId, only if it is that player's turn
+function promptCurrentTurn(roomCode, playerId = null) {
+  const room = rooms[roomCode];
+  // Between steps nobody is on turn yet; the step prompts whoever is next once it runs.
+  // A paused game prompts nobody either: the resume prompts the player on turn
+  if (!room || room.pending_transition || pauseReason(room)) return;
+  if (playerId) {
+    const player = currentTurnPlayer(room);
+    if (!player || player.id !== playerId) return;
+  }
+  turnPromptEvents(room).forEach(event => sendEvent(roomCode, event, playerId || undefined));
+  scheduleTurn(roomCode);
+}
+
+// Arrange for the current turn to be taken automatically: bots and away players after a short
+// pause, everyone else when the room's turn clock runs out
+function scheduleTurn(roomCode) {
+  const room = rooms[roomCode];
+  if (!room || pauseReason(room) || room.pending_transition) return;
+  const player = currentTurnPlayer(room);
+  if (!player) return;
+  // Moves clear the pending timer, so one still set for this player belongs to this turn
+  const pending = roomTimers(roomCode).get("turn");
+  if (pending && pending.playerId === player.id) return;
+
+  clearTurnTimer(roomCode);
+  const turnSeconds = room.gameConfig.turnSeconds;
+  let delay;
+  if (player.isBot || player.away) {
+    delay = BOT_THINK_MS;
+  } else if (turnSeconds > 0) {
+    delay = turnSeconds * 1000;
+    io.to(roomCode).emit("turnTimer", { playerName: player.name, seconds: turnSeconds });
+  } else {
+    return;
+  }
+
+  roomTimers(roomCode).set("turn", delay, () => takeTurnAutomatically(roomCode, player.id), { playerId: player.id });
+}
+
+// Bots follow their own strategy; humans who ran out of time get a hand-strength
+// prediction or their lowest legal card
+function takeTurnAutomatically(roomCode, playerId) {
+  // The room may have moved on or paused in the meantime
+  const room = rooms[roomCode];
+  const player = !pauseReason(room) && !room.pending_transition ? currentTurnPlayer(room) : null;
+  if (!player || player.id !== playerId) return;
+
+  if (!player.isBot) {
+    recordTimeout(roomCode, player);
+  }
+
+  const hand = room.playerHands[player.id] || [];
+  const trump = room.trump;
+  let error;
+  if (room.state === GAME_STATES.PREDICTING && room.trump_chooser === player.id) {
+    error = applyTrumpChoice(roomCode, player.id, chooseBotTrump(hand, [...SUITS, NO_TRUMP]));
+  } else if (room.state === GAME_STATES.PREDICTING) {
+    error = applyPrediction(roomCode, player.id, chooseBotPrediction(hand, {
+      maxPrediction: room.cards_this_round,
+      forbidden: forbiddenPrediction(room),
+      trump,
+      difficulty: player.isBot ? player.difficulty : "smart"
+    }));
+  } else if (player.isBot) {
+    const cardIndex = chooseBotCard(hand, {
+      trick: room.current_trick,
+      trump,
+      prediction: room.predictions[player.id] || 0,
+      tricksWon: room.tricks_won[player.id] || 0,
+      difficulty: player.difficulty
+    });
+    error = cardIndex === null ? "No card left to play" : applyCardPlay(roomCode, player.id, hand[cardIndex].id);
+  } else {
+    const card = lowestLegalCard(hand, room.current_trick, trump);
+    error = card ? applyCardPlay(roomCode, player.id, card.id) : "No card left to play";
+  }
+  if (error) console.error(`Automatic move for ${player.name} failed in room ${roomCode}: ${error}`);
+}
+
+// Count a missed turn and, if the room is configured for it, mark the player away
+function recordTimeout(roomCode, player) {
+  const room = rooms[roomCode];
+  player.timeouts = (player.timeouts || 0) + 1;
+  persistRooms();
+  io.to(roomCode).emit("turnTimedOut", { playerName: player.name });
+  console.log(`${player.name} ran out of time in room ${roomCode} (${player.timeouts} in a row)`);
+
+  const limit = room.gameConfig.awayAfterTimeouts;
+  if (limit > 0 && !player.away && player.timeouts >= limit) {
+    player.away = true;
+    io.to(roomCode).emit("playerList", playerListPayload(room));
+    console.log(`${player.name} marked away in room ${roomCode}`);
+  }
+}
+
+// A player acted themselves: reset their missed-turn count and bring them back from away
+function markPresent(roomCode, playerId) {
+  const room = rooms[roomCode];
+  const player = room && room.players.find(p => p.id === playerId);
+  if (!player) return;
+  player.timeouts = 0;
+  persistRooms();
+  if (!player.away) return;
+
+  player.away = false;
+  io.to(roomCode).emit("playerList", playerListPayload(room));
+  // Give them the full clock instead of the short away delay if it is their turn
+  const pending = roomTimers(roomCode).get("turn");
+  if (pending && pending.playerId === playerId) {
+    clearTurnTimer(roomCode);
+    scheduleTurn(roomCode);
+  }
+}
+
+// Round and trick transitions run after a pause so players can see what happened. The pending
+// one is recorded on the room, so a newer one replaces it and a restart can schedule it again
+function scheduleTransition(roomCode, type, delay) {
+  const room = rooms[roomCode];
+  // While the host has the game paused the step only remembers its delay; resumeGame starts it
+  if (room.host_paused) {
+    roomTimers(roomCode).clear("transition");
+    room.pending_transition = { type, remaining: delay };
+    persistRooms();
+    return;
+  }
+  room.pending_transition = { type, due: Date.now() + delay };
+  persistRooms();
+
+  roomTimers(roomCode).set("transition", delay, () => {
+    room.pending_transition = null;
+    if (type === "startRound") startRound(roomCode);
+    else if (type === "endRound") endRound(roomCode);
+    else dispatch(roomCode, advance(room, type));
+  });
+}
+
+// Hand hosting to the first connected human when the host has left, gone offline or been replaced by a bot
+function migrateHost(roomCode) {
+  const room = rooms[roomCode];
+  const host = room.players.find(p => p.id === room.host);
+  if (host && host.connected && !host.isBot) return;
+
+  const next = room.players.find(p => p.connected && !p.isBot);
+  if (!next) return;
+  room.host = next.id;
+  io.to(roomCode).emit("hostChanged", { host: next.name });
+  console.log(`${next.name} is now the host of room ${roomCode}`);
+}
+
+// Freeze the game where it stands: no turn clock, and the pending round or trick step keeps its remaining time
+function pauseGame(roomCode) {
+  const room = rooms[roomCode];
+  room.host_paused = true;
+  clearTurnTimer(roomCode);
+  roomTimers(roomCode).clear("transition");
+  const pending = room.pending_transition;
+  if (pending && pending.due) {
+    room.pending_transition = { type: pending.type, remaining: Math.max(0, pending.due - Date.now()) };
+  }
+  io.to(roomCode).emit("hostPaused", { playerName: playerNameById(room, room.host) });
+  persistRooms();
+  console.log(`Room ${roomCode} paused by the host`);
+}
+
+function resumeGame(roomCode) {
+  const room = rooms[roomCode];
+  room.host_paused = false;
+  io.to(roomCode).emit("hostResumed", { playerName: playerNameById(room, room.host) });
+  const pending = room.pending_transition;
+  if (pending) {
+    scheduleTransition(roomCode, pending.type, pending.remaining !== undefined ? pending.remaining : Math.max(0, pending.due - Date.now()));
+  } else {
+    promptCurrentTurn(roomCode);
+  }
+  persistRooms();
+  console.log(`Room ${roomCode} resumed by the host`);
+}
+
+// Free a player's seat for good; mid-game the round restarts with whoever is left
+function removePlayer(roomCode, playerId, reason = "has disconnected") {
+  const room = rooms[roomCode];
+  if (!room) return;
+  const player = room.players.find(p => p.id === playerId);
+  if (!player) return;
+  persistRooms();
+
+  const playerName = player.name;
+  room.players = room.players.filter(p => p.id !== playerId);
+  migrateHost(roomCode);
+  io.to(roomCode).emit("playerList", playerListPayload(room));
+
+  // If game is in progress, try to continue with remaining players
+  if (room.state !== GAME_STATES.WAITING) {
+    if (room.players.length >= 2) {
+      // Clean up state for the disconnected player
+      delete room.scores[playerId];
+      delete room.predictions[playerId];
+      delete room.tricks_won[playerId];
+      delete room.playerHands[playerId];
+      if (Array.isArray(room.current_play_order) && room.current_play_order.length) {
+        room.current_play_order = room.current_play_order.filter(id => id !== playerId);
+        if (room.next_player_index >= room.current_play_order.length) {
+          room.next_player_index = 0;
+        }
+      }
+      // Inform players and restart the current round with remaining players
+      io.to(roomCode).emit("errorMessage", `${playerName} ${reason}. Restarting current round with ${room.players.length} players.`);
+      // Ensure turn index stays in range
+      room.turn_index = room.turn_index % room.players.length;
+      // Reset transient per-round state; keep scores and round counters
+      room.predictions = {};
+      room.tricks_won = {};
+      room.current_trick = [];
+      room.current_play_order = [];
+      room.next_player_index = 0;
+      room.state = GAME_STATES.PREDICTING;
+      scheduleTransition(roomCode, "startRound", 500);
+    } else {
+      // Not enough players to continue
+      io.to(roomCode).emit("gameEnded", `${playerName} ${reason}`);
+      room.state = GAME_STATES.WAITING;
+      // The match can't go on either, so the lobby starts a fresh one
+      room.match = newMatch(room.gameConfig.matchGames);
+      room.pending_transition = null;
+      room.host_paused = false;
+      clearTurnTimer(roomCode);
+      roomTimers(roomCode).clear("transition");
+    }
+  } else if (matchUnderway(room.match)) {
+    room.match.votes = room.match.votes.filter(name => name !== playerName);
+    if (room.players.length < 2) {
+      returnToLobby(roomCode, `${playerName} ${reason}`);
+    } else {
+      io.to(roomCode).emit("matchUpdate", matchPayload(room));
+      checkRematchVotes(roomCode);
+    }
+  }
+
+  // Stay paused only while someone else is still within their grace period
+  if (room.paused && room.players.every(p => p.connected)) {
+    room.paused = false;
+    io.to(roomCode).emit("gameResumed", { playerName: null });
+  }
+
+  console.log(`Player ${playerName} removed from room ${roomCode}`);
+
+  // If no humans are left (bots don't count), delete it
+  if (room.players.every(p => p.isBot)) {
+    deleteRoom(roomCode, "Every player has left the room");
+    console.log(`Room ${roomCode} deleted (empty)`);
+  }
+}
+
+// Remove a room for good: every timer it owns is cancelled and the sockets still in it leave.
+// With a message, whoever is left is told why the room closed
+function deleteRoom(roomCode, message = null) {
+  if (message) io.to(roomCode).emit("roomClosed", { roomCode, message });
+  roomTimers(roomCode).cancelAll();
+  delete schedulers[roomCode];
+  io.in(roomCode).socketsLeave(roomCode);
+  io.in(spectatorChannel(roomCode)).socketsLeave(spectatorChannel(roomCode));
+  delete rooms[roomCode];
+  persistRooms();
+}
+
+// Something happened in the room, so its idle expiry starts over
+function touchRoom(roomCode) {
+  const room = rooms[roomCode];
+  room.last_active = Date.now();
+  if (room.tournament && tournaments[room.tournament.code]) touchTournament(room.tournament.code);
+  scheduleIdleExpiry(roomCode);
+}
+
+// Tournament tables have no expiry of their own; they keep their tournament alive instead
+function scheduleIdleExpiry(roomCode) {
+  const room = rooms[roomCode];
+  if (room.tournament) return;
+  const remaining = Math.max(0, (room.last_active || Date.now()) + ROOM_IDLE_MINUTES * 60000 - Date.now());
+  roomTimers(roomCode).set("idle", remaining, () => {
+    console.log(`Room ${roomCode} closed after ${ROOM_IDLE_MINUTES} idle minutes`);
+    deleteRoom(roomCode, `The room was closed after ${ROOM_IDLE_MINUTES} minutes without activity`);
+  });
+}
+
+// Keep a disconnected player's seat for the grace period; mid-game the room pauses meanwhile
+function holdSeat(roomCode, player) {
+  const room = rooms[roomCode];
+  const token = player.token;
+  const graceSeconds = room.gameConfig.reconnectGrace;
+  player.connected = false;
+  if (room.state !== GAME_STATES.WAITING) {
+    room.paused = true;
+    // The clock restarts for whoever is on turn once the game resumes
+    clearTurnTimer(roomCode);
+    io.to(roomCode).emit("gamePaused", { playerName: player.name, graceSeconds });
+  }
+  migrateHost(roomCode);
+  io.to(roomCode).emit("playerList", playerListPayload(room));
+  console.log(`Holding seat for ${player.name} in room ${roomCode} for ${graceSeconds}s`);
+  persistRooms();
+
+  roomTimers(roomCode).set(`seat:${token}`, graceSeconds * 1000, () => {
+    const seat = room.players.find(p => p.token === token);
+    if (!seat || seat.connected) return;
+    if (room.gameConfig.botTakeover && room.state !== GAME_STATES.WAITING) {
+      takeOverWithBot(roomCode, seat);
+    } else {
+      removePlayer(roomCode, seat.id);
+    }
+    persistRooms();
+  });
+}
+
+// Let a bot play on in a seat whose human did not come back in time; they can still reclaim it
+function takeOverWithBot(roomCode, seat) {
+  const room = rooms[roomCode];
+  persistRooms();
+  seat.isBot = true;
+  seat.takenOver = true;
+  seat.difficulty = "smart";
+  seat.connected = true;
+  migrateHost(roomCode);
+  io.to(roomCode).emit("playerList", playerListPayload(room));
+  io.to(roomCode).emit("seatTakenOver", { playerName: seat.name });
+  console.log(`Bot took over ${seat.name}'s seat in room ${roomCode}`);
+
+  if (room.paused && room.players.every(p => p.connected)) {
+    room.paused = false;
+    io.to(roomCode).emit("gameResumed", { playerName: null });
+  }
+  promptCurrentTurn(roomCode);
+}
+
+// Check the game settings of a createRoom payload; returns { error } or { options } for newRoomState
+function roomOptionsFromPayload({ maxPlayers, number_of_decks, max_round_cards, min_round_cards, reconnect_grace_seconds, bot_takeover, turn_seconds, away_after_timeouts, spectator_hands_delay, scoring = { preset: "classic" }, trump_mode = "rotation", trump_order, schedule_type = "upDown", max_round_repeats = 1, custom_rounds, match_games = 1, is_public, seed }) {
+  const round_schedule = buildRoundSchedule(schedule_type, min_round_cards, max_round_cards, max_round_repeats, custom_rounds);
+
+  const error = validateGameConfig(number_of_decks, min_round_cards, max_round_cards, maxPlayers, scoring)
+    || validateTrumpConfig(trump_mode, trump_order)
+    || validateRoundSchedule(schedule_type, max_round_repeats, round_schedule, maxPlayers, number_of_decks)
+    || validateMatchGames(match_games);
+  if (error) return { error };
+
+  return {
+    options: {
+      maxPlayers,
+      number_of_decks,
+      max_round_cards,
+      min_round_cards,
+      round_schedule,
+      schedule_type,
+      max_round_repeats,
+      scoring,
+      trump_mode,
+      trump_order,
+      match_games,
+      is_public,
+      seed,
+      reconnectGrace: Number.isInteger(reconnect_grace_seconds) && reconnect_grace_seconds >= 0
+        ? reconnect_grace_seconds
+        : DEFAULT_RECONNECT_GRACE_SECONDS,
+      botTakeover: bot_takeover === true,
+      turnSeconds: Number.isInteger(turn_seconds) && turn_seconds > 0 ? turn_seconds : 0,
+      awayAfterTimeouts: Number.isInteger(away_after_timeouts) && away_after_timeouts > 0 ? away_after_timeouts : 0,
+      spectatorHandsDelay: Number.isInteger(spectator_hands_delay) && spectator_hands_delay >= 0 ? spectator_hands_delay : null
+    }
+  };
+}
+
+// A room's current settings in the shape the host sends them, for updates to change only what they name
+function roomSettingsPayload(room) {
+  const config = room.gameConfig;
+  const { preset, hit, miss, zeroBonus } = config.scoring;
+  return {
+    maxPlayers: config.maxPlayers,
+    number_of_decks: config.decks,
+    max_round_cards: config.maxCards,
+    min_round_cards: config.minCards,
+    reconnect_grace_seconds: config.reconnectGrace,
+    bot_takeover: config.botTakeover,
+    turn_seconds: config.turnSeconds,
+    away_after_timeouts: config.awayAfterTimeouts,
+    spectator_hands_delay: config.spectatorHandsDelay,
+    scoring: { preset, hit, miss, zeroBonus },
+    trump_mode: config.trumpMode,
+    trump_order: config.trumpOrder,
+    schedule_type: config.scheduleType,
+    max_round_repeats: config.maxRoundRepeats,
+    custom_rounds: config.scheduleType === "custom" ? config.roundSchedule : undefined,
+    match_games: config.matchGames,
+    is_public: config.isPublic,
+    seed: room.first_seed
+  };
+}
+
+// The parts of a room that follow from its settings: set when the room is created, and again
+// whenever the host changes the settings in the lobby
+function settingsState(options) {
+  const { maxPlayers, number_of_decks, max_round_cards, min_round_cards, round_schedule, schedule_type, max_round_repeats, scoring, trump_mode, trump_order, match_games, is_public, seed } = options;
+  return {
+    maxPlayers,
+    number_of_decks,
+    max_round_cards,
+    min_round_cards,
+    trump_rotation: trumpCycle(trump_mode, trump_order), // Used by the rotating trump modes
+    round_schedule, // Cards dealt in each round, in order
+    current_round: 1,
+    cards_this_round: round_schedule[0],
+    // Shuffle seeds stay out of gameConfig so players can't work out the hands in advance
+    first_seed: (seed && seed.trim()) || null, // Host's seed for the first game, if they gave one
+    match: newMatch(match_games), // Games played so far in the series and the votes to play the next
+    gameConfig: {
+      decks: number_of_decks,
+      maxCards: max_round_cards,
+      minCards: min_round_cards,
+      maxPlayers: maxPlayers,
+      isPublic: is_public === true, // Listed in the room browser; private rooms are joined by code only
+      scheduleType: schedule_type,
+      maxRoundRepeats: max_round_repeats,
+      roundSchedule: round_schedule,
+      scoring: resolveScoring(scoring),
+      trumpMode: trump_mode,
+      trumpOrder: trump_mode === "custom" ? trump_order.slice() : null,
+      matchGames: match_games, // Games in a match; 1 plays single games
+      hostSeeded: !!(seed && seed.trim()), // The host chose the first game's seed, so they know every hand in it
+      reconnectGrace: options.reconnectGrace,
+      botTakeover: options.botTakeover, // A bot plays on for anyone whose grace period runs out
+      turnSeconds: options.turnSeconds, // 0 means no turn clock
+      awayAfterTimeouts: options.awayAfterTimeouts, // Consecutive timeouts before a player is marked away; 0 disables
+      spectatorHandsDelay: options.spectatorHandsDelay // Seconds before spectators see every hand; null keeps hands hidden
+    }
+  };
+}
+
+// A lobby with hostPlayer in the first seat
+function newRoomState(hostPlayer, options) {
+  return {
+    host: hostPlayer.id,
+    players: [hostPlayer],
+    spectators: [], // { id, name } of sockets watching without a seat
+    ...settingsState(options),
+    trump: null, // This round's trump suit or NO_TRUMP; null until named in "bidder" mode
+    trump_card: null, // Card turned up to set trump in "turnUp" mode
+    trump_chooser: null, // Highest bidder who still has to name trump
+    turn_index: 0,
+    state: GAME_STATES.WAITING,
+    paused: false, // True while a disconnected player's seat is being held
+    host_paused: false, // True while the host has paused the game
+    locked: false, // Locked rooms take no new players or spectators
+    predictions: {}, // Store player predictions
+    tricks_won: {}, // Store tricks won by each player
+    scores: {}, // Store player scores
+    current_trick: [], // Current trick cards
+    playerHands: {}, // Store each player's hand
+    current_play_order: [], // Ordered list of player IDs for current trick
+    next_player_index: 0, // Index into current_play_order for whose turn it is
+    pending_transition: null, // { type, due } of the round/trick step waiting on a timer
+    last_active: Date.now(), // Last time a player or spectator sent the room anything
+    game_log: null, // Event log of the game in progress
+    chat: [], // { playerName, spectator, text, at } messages of the current game
+    game_seed: null, // Seed of the game in progress, revealed when it ends
+    round_deal: 0, // Times the current round has been dealt; a restart after someone leaves deals it again
+    next_nonce: randomUUID(), // Server's part of the next game's seed; only its hash is shown until that game ends
+    tournament: null // { code, game, table } for a tournament table
+  };
+}
+
+// Socket.IO room of everyone entered in a tournament
+function tournamentChannel(code) {
+  return `tournament:${code}`;
+}
+
+// What entrants see of a tournament; standings, seeds and logs only cover games every table has finished
+function tournamentPayload(tournament) {
+  const entrants = tournament.entrants.map(e => e.name);
+  const finished = tournament.results.filter(game => game.tables.every(Boolean));
+  return {
+    code: tournament.code,
+    director: tournament.director,
+    entrants,
+    tables: tournament.tables,
+    seatsPerTable: tournament.seats_per_table,
+    games: tournament.games,
+    state: tournament.state,
+    game: Math.min(tournament.game_index + 1, tournament.games),
+    seating: tournament.table_codes.map(roomCode => ({
+      roomCode,
+      seats: rooms[roomCode] ? rooms[roomCode].players.map(p => p.name) : []
+    })),
+    finishedGames: finished.map((game, i) => ({
+      game: i + 1,
+      seed: game.seed,
+      tables: game.tables.map(table => ({ table: table.table, gameId: table.gameId }))
+    })),
+    config: tournament.config,
+    ...tournamentStandings(entrants, finished)
+  };
+}
+
+function broadcastTournament(tournament) {
+  io.to(tournamentChannel(tournament.code)).emit("tournamentUpdate", tournamentPayload(tournament));
+}
+
+function touchTournament(code) {
+  tournaments[code].last_active = Date.now();
+  scheduleTournamentExpiry(code);
+}
+
+function scheduleTournamentExpiry(code) {
+  const tournament = tournaments[code];
+  const remaining = Math.max(0, (tournament.last_active || Date.now()) + ROOM_IDLE_MINUTES * 60000 - Date.now());
+  tournamentTimers(code).set("idle", remaining, () => {
+    console.log(`Tournament ${code} closed after ${ROOM_IDLE_MINUTES} idle minutes`);
+    deleteTournament(code, `The tournament was closed after ${ROOM_IDLE_MINUTES} minutes without activity`);
+  });
+}
+
+// Remove a tournament and its tables for good, cancelling its timers; with a message, the
+// entrants are told why it closed
+function deleteTournament(code, message = null) {
+  const tournament = tournaments[code];
+  const channel = tournamentChannel(code);
+  if (message) io.to(channel).emit("tournamentClosed", { tournamentCode: code, message });
+  closeTournamentTables(tournament);
+  roomTimers(channel).cancelAll();
+  delete schedulers[channel];
+  io.in(channel).socketsLeave(channel);
+  delete tournaments[code];
+  persistRooms();
+}
+
+// Close the previous game's tables before everyone is seated again
+function closeTournamentTables(tournament) {
+  tournament.table_codes.forEach(roomCode => {
+    if (rooms[roomCode]) deleteRoom(roomCode);
+  });
+  tournament.table_codes = [];
+}
+
+// Seat every entrant for the tournament's next game and deal it at all tables from one seed
+function seatTournamentGame(code) {
+  const tournament = tournaments[code];
+  if (!tournament) return;
+  closeTournamentTables(tournament);
+
+  const gameIndex = tournament.game_index;
+  const seed = newTournamentSeed();
+  const seating = seatingForGame(tournament.entrants.map(e => e.name), tournament.tables, tournament.seats_per_table, gameIndex);
+  tournament.results[gameIndex] = { seed, tables: seating.map(() => null) };
+  tournament.state = "playing";
+
+  tournament.table_codes = seating.map((names, table) => {
+    let roomCode = `${code}-G${gameIndex + 1}T${table + 1}`;
+    if (rooms[roomCode]) roomCode += `-${randomUUID().slice(0, 4)}`;
+
+    // Entrants keep one seat token for the whole tournament, so a refresh finds them at any table
+    const seats = names.map(name => {
+      const entrant = tournament.entrants.find(e => e.name === name);
+      return { id: entrant.id, name, token: entrant.token, connected: io.sockets.sockets.has(entrant.id), profile: entrant.profile || null };
+    });
+    const room = newRoomState(seats[0], tournament.options);
+    // Set after the settings so the table isn't flagged as host-seeded: nobody seated knows this seed
+    room.first_seed = seed;
+    room.players = seats;
+    room.locked = true; // Seats are handed out by the tournament
+    room.tournament = { code, game: gameIndex, table };
+    rooms[roomCode] = room;
+
+    seats.filter(seat => seat.connected).forEach(seat => {
+      const socket = io.sockets.sockets.get(seat.id);
+      socket.join(roomCode);
+      socket.emit("joinedRoom", roomCode);
+      socket.emit("sessionToken", { roomCode, token: seat.token });
+    });
+    io.to(roomCode).emit("playerList", playerListPayload(room));
+
+    newGame(roomCode);
+    startRound(roomCode);
+    seats.filter(seat => !seat.connected).forEach(seat => holdSeat(roomCode, seat));
+    return roomCode;
+  });
+
+  console.log(`Tournament ${code}: game ${gameIndex + 1} dealt at ${seating.length} tables`);
+  broadcastTournament(tournament);
+  persistRooms();
+}
+
+// File a finished table's scores; once every table has played the game, move the tournament on
+function recordTournamentTable(roomCode, finalScores, gameId) {
+  const room = rooms[roomCode];
+  const { code, game, table } = room.tournament;
+  const tournament = tournaments[code];
+  if (!tournament || tournament.game_index !== game) return;
+
+  tournament.results[game].tables[table] = {
+    table: table + 1,
+    seats: room.players.map(p => p.name),
+    scores: finalScores,
+    gameId
+  };
+  if (tournament.results[game].tables.every(Boolean)) {
+    // Every table has played the deal now, so the logs can go into the players' histories
+    tournament.table_codes.forEach((code, i) => {
+      const { gameId: tableGameId } = tournament.results[game].tables[i];
+      if (tableGameId) revealGameId(profileDb, code, tableGameId);
+      revealTableDeals(code);
+    });
+    persistProfiles();
+    tournament.game_index++;
+    if (tournament.game_index >= tournament.games) {
+      tournament.state = "finished";
+      console.log(`Tournament ${code} finished`);
+    } else {
+      tournament.state = "between";
+      tournamentTimers(code).set("break", TOURNAMENT_BREAK_MS, () => seatTournamentGame(code));
+    }
+  }
+  broadcastTournament(tournament);
+  persistRooms();
+}
+
+// Send a tournament table the seeds its rounds were dealt from, held back from roundEnd while
+// other tables were still playing the same cards, so the players can check the deals after all
+function revealTableDeals(roomCode) {
+  const room = rooms[roomCode];
+  if (!room || !room.game_log) return;
+  io.to(roomCode).emit("dealsRevealed", {
+    seed: room.game_seed,
+    deals: room.game_log.rounds
+      .filter(round => round.results && !round.abandoned)
+      .map(round => ({
+        round: round.round,
+        // Hands are logged in seat order, which is the order the deck was dealt in
+        deal: { seed: round.seed, number: round.deal, decks: room.number_of_decks, cardsThisRound: round.cardsThisRound, seats: Object.keys(round.hands) }
+      }))
+  });
+}
+
+// The table where a tournament entrant is seated in the current game, found by their seat token
+function tournamentSeatRoom(token) {
+  for (const tournament of Object.values(tournaments)) {
+    const roomCode = tournament.table_codes.find(code => rooms[code] && rooms[code].players.some(p => p.token === token));
+    if (roomCode) return roomCode;
+  }
+  return null;
+}
+
+function tournamentEntrantByToken(token) {
+  for (const tournament of Object.values(tournaments)) {
+    const entrant = tournament.entrants.find(e => e.token === token);
+    if (entrant) return { tournament, entrant };
+  }
+  return null;
+}
+
+// Entrants can leave a tournament that hasn't started; a finished one goes once nobody is left online
+function leaveTournaments(socketId) {
+  for (const [code, tournament] of Object.entries(tournaments)) {
+    const entrant = tournament.entrants.find(e => e.id === socketId);
+    if (!entrant) continue;
+
+    if (tournament.state === "waiting") {
+      tournament.entrants = tournament.entrants.filter(e => e !== entrant);
+      if (tournament.director === entrant.name && tournament.entrants.length > 0) {
+        tournament.director = tournament.entrants[0].name;
+      }
+    }
+    const online = tournament.entrants.some(e => e.id !== socketId && io.sockets.sockets.has(e.id));
+    if (tournament.entrants.length === 0 || (tournament.state === "finished" && !online)) {
+      deleteTournament(code);
+      console.log(`Tournament ${code} closed`);
+    } else {
+      broadcastTournament(tournament);
+      persistRooms();
+    }
+  }
+}
+
+io.on("connection", (socket) => {
+  console.log(`Player connected: ${socket.id}`);
+
+  // Every event is counted against the socket's rate and checked against its schema first,
+  // so handlers never see a flood or a payload of the wrong shape
+  socket.use(([event, payload], next) => {
+    if (!allowEvent(socket.id)) {
+      if (!eventActivity[socket.id].warned) {
+        eventActivity[socket.id].warned = true;
+        socket.emit("errorMessage", "You're sending requests too fast; slow down for a moment");
+      }
+      return;
+    }
+    const error = validatePayload(event, payload);
+    if (error) {
+      socket.emit("errorMessage", error);
+      return;
+    }
+    const room = rooms[payload.roomCode];
+    if (room && roomMember(room, socket.id)) touchRoom(payload.roomCode);
+    const tournament = tournaments[payload.tournamentCode];
+    if (tournament && tournament.entrants.some(e => e.id === socket.id)) touchTournament(payload.tournamentCode);
+    next();
+  });
+
+  socket.on("createRoom", (payload) => {
+    const { roomCode, playerName, client_seed, profile_secret } = payload;
+    if (rooms[roomCode]) {
+      socket.emit("errorMessage", "Room already exists");
+      return;
+    }
+
+    if (openCommitments(socket.id) >= MAX_ROOMS_PER_SOCKET) {
+      socket.emit("errorMessage", `You can be in at most ${MAX_ROOMS_PER_SOCKET} rooms or tournaments at once`);
+      return;
+    }
+
+    const { error, options } = roomOptionsFromPayload(payload);
+    if (error) {
+      socket.emit("errorMessage", error);
+      return;
+    }
+
+    const { error: profileError, profile } = seatProfile(playerName, profile_secret);
+    if (profileError) {
+      socket.emit("errorMessage", profileError);
+      return;
+    }
+
+    const token = randomUUID();
+    rooms[roomCode] = newRoomState({ id: socket.id, name: playerName, token, connected: true, client_seed: client_seed || null, profile }, options);
+
+    touchRoom(roomCode);
+    socket.join(roomCode);
+    socket.emit("roomCreated", roomCode);
+    socket.emit("sessionToken", { roomCode, token });
+    
+    // Send initial player list to the creator
+    socket.emit("playerList", playerListPayload(rooms[roomCode]));
+    
+    persistRooms();
+    console.log(`Room ${roomCode} created by ${playerName}`);
+  });
+
+  socket.on("joinRoom", ({ roomCode, playerName, client_seed, profile_secret }) => {
+    const room = rooms[roomCode];
+    if (!room) {
+      return socket.emit("errorMessage", "Room not found");
+    }
+
+    if (room.players.find(p => p.id === socket.id)) {
+      return socket.emit("errorMessage", "You are already in this room");
+    }
+
+    if (room.locked) {
+      return socket.emit("errorMessage", "Room is locked by the host");
+    }
+
+    if (room.state !== "waiting") {
+      return socket.emit("errorMessage", "Game has already started. You can still watch as a spectator");
+    }
+
+    if (matchUnderway(room.match) && !matchDecided(room.match)) {
+      return socket.emit("errorMessage", "A match is in progress. You can watch as a spectator until it's over");
+    }
+
+    if (room.players.length >= room.maxPlayers) {
+      return socket.emit("errorMessage", "Room is full");
+    }
+
+    if (room.players.find(p => p.name === playerName) ||
+        room.spectators.find(s => s.name === playerName && s.id !== socket.id)) {
+      return socket.emit("errorMessage", "Player name already taken");
+    }
+
+    // A spectator taking a free seat stops being a spectator
+    if (room.spectators.some(s => s.id === socket.id)) {
+      room.spectators = room.spectators.filter(s => s.id !== socket.id);
+      socket.leave(spectatorChannel(roomCode));
+    }
+
+    const { error: profileError, profile } = seatProfile(playerName, profile_secret);
+    if (profileError) {
+      return socket.emit("errorMessage", profileError);
+    }
+
+    const token = randomUUID();
+    room.players.push({ id: socket.id, name: playerName, token, connected: true, client_seed: client_seed || null, profile });
+    socket.join(roomCode);
+    
+    // Send updated player list and game configuration to everyone in the room
+    io.to(roomCode).emit("playerList", playerListPayload(room));
+    
+    // Show lobby to the joining player
+    socket.emit("joinedRoom", roomCode);
+    socket.emit("chatHistory", room.chat || []);
+    socket.emit("sessionToken", { roomCode, token });
+    persistRooms();
+    console.log(`Player ${playerName} joined room ${roomCode}`);
+  });
+
+  socket.on("updateRoomSettings", (payload) => {
+    const { roomCode } = payload;
+    const room = rooms[roomCode];
+    if (!room) {
+      return socket.emit("errorMessage", "Room not found");
+    }
+
+    if (socket.id !== room.host) {
+      return socket.emit("errorMessage", "Only the host can change the settings");
+    }
+
+    if (room.tournament) {
+      return socket.emit("errorMessage", "Tournament tables play the tournament's settings");
+    }
+
+    if (room.state !== GAME_STATES.WAITING) {
+      return socket.emit("errorMessage", "Settings can only be changed between games");
+    }
+
+    // Once the match is decided the next game starts a new one, so the rules may change with it
+    if (matchUnderway(room.match) && !matchDecided(room.match)) {
+      return socket.emit("errorMessage", "Settings can't change in the middle of a match");
+    }
+
+    // Whatever the update leaves out stays as it is
+    const changes = Object.fromEntries(Object.entries(payload).filter(([, value]) => value !== undefined));
+    const settings = { ...roomSettingsPayload(room), ...changes };
+
+    // The new settings have to seat everyone already here
+    if (settings.maxPlayers < room.players.length) {
+      return socket.emit("errorMessage", `There are already ${room.players.length} players in the room`);
+    }
+
+    const { error, options } = roomOptionsFromPayload(settings);
+    if (error) {
+      return socket.emit("errorMessage", error);
+    }
+
+    // New settings start a new match, so a decided one is put away the same way the lobby button does it,
+    // or clients would keep its podium and vote for a rematch the server no longer has
+    const decided = matchUnderway(room.match);
+    Object.assign(room, settingsState(options));
+    if (decided) {
+      returnToLobby(roomCode);
+    } else {
+      io.to(roomCode).emit("playerList", playerListPayload(room));
+      persistRooms();
+    }
+    console.log(`Settings of room ${roomCode} changed by the host`);
+  });
+
+  socket.on("addBot", ({ roomCode, difficulty }) => {
+    const room = rooms[roomCode];
+    if (!room) {
+      return socket.emit("errorMessage", "Room not found");
+    }
+
+    if (socket.id !== room.host) {
+      return socket.emit("errorMessage", "Only the host can add bots");
+    }
+
+    if (room.state !== GAME_STATES.WAITING || (matchUnderway(room.match) && !matchDecided(room.match))) {
+      return socket.emit("errorMessage", "Bots can only be added in the lobby");
+    }
+
+    if (room.players.length >= room.maxPlayers) {
+      return socket.emit("errorMessage", "Room is full");
+    }
+
+    if (!BOT_DIFFICULTIES.includes(difficulty)) {
+      return socket.emit("errorMessage", "Unknown bot difficulty");
+    }
+
+    let botNumber = 1;
+    while (room.players.some(p => p.name === `Bot ${botNumber}`)) botNumber++;
+    const name = `Bot ${botNumber}`;
+
+    room.players.push({ id: `bot-${randomUUID()}`, name, connected: true, isBot: true, difficulty });
+    io.to(roomCode).emit("playerList", playerListPayload(room));
+    persistRooms();
+    console.log(`${name} (${difficulty}) added to room ${roomCode}`);
+  });
+
+  socket.on("removeBot", ({ roomCode, botName }) => {
+    const room = rooms[roomCode];
+    if (!room) {
+      return socket.emit("errorMessage", "Room not found");
+    }
+
+    if (socket.id !== room.host) {
+      return socket.emit("errorMessage", "Only the host can remove bots");
+    }
+
+    if (room.state !== GAME_STATES.WAITING || (matchUnderway(room.match) && !matchDecided(room.match))) {
+      return socket.emit("errorMessage", "Bots can only be removed in the lobby");
+    }
+
+    const bot = room.players.find(p => p.name === botName && p.isBot && !p.takenOver);
+    if (!bot) {
+      return socket.emit("errorMessage", "Bot not found");
+    }
+
+    room.players = room.players.filter(p => p !== bot);
+    io.to(roomCode).emit("playerList", playerListPayload(room));
+    persistRooms();
+    console.log(`${botName} removed from room ${roomCode}`);
+  });
+
+  socket.on("kickPlayer", ({ roomCode, playerName }) => {
+    const room = rooms[roomCode];
+    if (!room) {
+      return socket.emit("errorMessage", "Room not found");
+    }
+
+    if (socket.id !== room.host) {
+      return socket.emit("errorMessage", "Only the host can kick players");
+    }
+
+    const player = room.players.find(p => p.name === playerName);
+    if (!player) {
+      return socket.emit("errorMessage", "Player not found");
+    }
+
+    if (player.id === socket.id) {
+      return socket.emit("errorMessage", "You can't kick yourself");
+    }
+
+    if (room.tournament) {
+      return socket.emit("errorMessage", "Tournament seats can't be emptied; a bot covers anyone who leaves");
+    }
+
+    // A held seat must not come back once its grace period would have ended
+    if (player.token) roomTimers(roomCode).clear(`seat:${player.token}`);
+    io.to(player.id).emit("kicked", { roomCode });
+    const kickedSocket = io.sockets.sockets.get(player.id);
+    if (kickedSocket) kickedSocket.leave(roomCode);
+    removePlayer(roomCode, player.id, "was removed by the host");
+    persistRooms();
+    console.log(`${playerName} was kicked from room ${roomCode}`);
+  });
 
-/** GAME STATE **/
-let rooms = {};
-
-// Game state constants
-const GAME_STATES = {
-  WAITING: 'waiting',
-  PREDICTING: 'predicting',
-  PLAYING: 'playing',
-  SCORING: 'scoring'
-};
+  socket.on("transferHost", ({ roomCode, playerName }) => {
+    const room = rooms[roomCode];
+    if (!room) {
+      return socket.emit("errorMessage", "Room not found");
+    }
 
-// Validate game configuration
-function validateGameConfig(number_of_decks, min_round_cards, max_round_cards, maxPlayers) {
-  if (number_of_decks < 1) return "Number of decks must be at least 1";
-  if (min_round_cards < 1) return "Minimum round cards must be at least 1";
-  if (max_round_cards < 1) return "Maximum round cards must be at least 1";
-  if (min_round_cards > max_round_cards) return "Minimum cards cannot exceed maximum cards";
-  if (maxPlayers < 2) return "Need at least 2 players";
-  if (max_round_cards * maxPlayers > 52 * number_of_decks) {
-    return "Not enough cards for the specified configuration";
-  }
-  return null;
-}
+    if (socket.id !== room.host) {
+      return socket.emit("errorMessage", "Only the host can hand over hosting");
+    }
 
-// Helper function to get card value for comparison
-function getCardValue(rank) {
-  const values = {
-    "2": 2, "3": 3, "4": 4, "5": 5, "6": 6, "7": 7, "8": 8, "9": 9, "10": 10,
-    "J": 11, "Q": 12, "K": 13, "A": 14
-  };
-  return values[rank] || 0;
-}
+    const player = room.players.find(p => p.name === playerName && !p.isBot);
+    if (!player) {
+      return socket.emit("errorMessage", "Player not found");
+    }
 
-io.on("connection", (socket) => {
-  console.log(`Player connected: ${socket.id}`);
+    if (!player.connected) {
+      return socket.emit("errorMessage", "That player is offline");
+    }
 
-  socket.on("createRoom", ({ roomCode, playerName, maxPlayers, number_of_decks, max_round_cards, min_round_cards }) => {
-    if (rooms[roomCode]) {
-      socket.emit("errorMessage", "Room already exists");
-      return;
+    room.host = player.id;
+    io.to(roomCode).emit("hostChanged", { host: player.name });
+    io.to(roomCode).emit("playerList", playerListPayload(room));
+    persistRooms();
+    console.log(`${player.name} is now the host of room ${roomCode}`);
+  });
+
+  socket.on("setRoomLocked", ({ roomCode, locked }) => {
+    const room = rooms[roomCode];
+    if (!room) {
+      return socket.emit("errorMessage", "Room not found");
     }
 
-    // Validate configuration
-    const validationError = validateGameConfig(number_of_decks, min_round_cards, max_round_cards, maxPlayers);
-    if (validationError) {
-      socket.emit("errorMessage", validationError);
-      return;
+    if (socket.id !== room.host) {
+      return socket.emit("errorMessage", "Only the host can lock the room");
     }
 
-    rooms[roomCode] = {
-      host: socket.id,
-      players: [{ id: socket.id, name: playerName }],
-      maxPlayers,
-      number_of_decks,
-      max_round_cards,
-      min_round_cards,
-      trump_rotation: ["Spades", "Diamonds", "Clubs", "Hearts"],
-      current_round: 1,
-      cards_this_round: min_round_cards, // Start with configured minimum
-      turn_index: 0,
-      state: GAME_STATES.WAITING,
-      ascending: true, // Track if we're in ascending or descending phase
-      predictions: {}, // Store player predictions
-      tricks_won: {}, // Store tricks won by each player
-      scores: {}, // Store player scores
-      current_trick: [], // Current trick cards
-      playerHands: {}, // Store each player's hand
-      current_play_order: [], // Ordered list of player IDs for current trick
-      next_player_index: 0, // Index into current_play_order for whose turn it is
-      gameConfig: {
-        decks: number_of_decks,
-        maxCards: max_round_cards,
-        minCards: min_round_cards,
-        maxPlayers: maxPlayers
-      }
-    };
+    room.locked = locked === true;
+    io.to(roomCode).emit("playerList", playerListPayload(room));
+    persistRooms();
+    console.log(`Room ${roomCode} ${room.locked ? "locked" : "unlocked"}`);
+  });
 
-    socket.join(roomCode);
-    socket.emit("roomCreated", roomCode);
-    
-    // Send initial player list to the creator
-    socket.emit("playerList", {
-      players: rooms[roomCode].players.map(p => p.name),
-      config: rooms[roomCode].gameConfig
-    });
-    
-    console.log(`Room ${roomCode} created by ${playerName}`);
+  socket.on("pauseGame", ({ roomCode }) => {
+    const room = rooms[roomCode];
+    if (!room) {
+      return socket.emit("errorMessage", "Room not found");
+    }
+
+    if (socket.id !== room.host) {
+      return socket.emit("errorMessage", "Only the host can pause the game");
+    }
+
+    if (room.state === GAME_STATES.WAITING) {
+      return socket.emit("errorMessage", "There is no game to pause");
+    }
+
+    if (room.host_paused) {
+      return socket.emit("errorMessage", "The game is already paused");
+    }
+
+    pauseGame(roomCode);
   });
 
-  socket.on("joinRoom", ({ roomCode, playerName }) => {
+  socket.on("resumeGame", ({ roomCode }) => {
     const room = rooms[roomCode];
     if (!room) {
       return socket.emit("errorMessage", "Room not found");
     }
 
-    if (room.players.find(p => p.id === socket.id)) {
+    if (socket.id !== room.host) {
+      return socket.emit("errorMessage", "Only the host can resume the game");
+    }
+
+    if (!room.host_paused) {
+      return socket.emit("errorMessage", "The game isn't paused");
+    }
+
+    resumeGame(roomCode);
+  });
+
+  socket.on("joinAsSpectator", ({ roomCode, spectatorName }) => {
+    const room = rooms[roomCode];
+    if (!room) {
+      return socket.emit("errorMessage", "Room not found");
+    }
+
+    if (room.players.find(p => p.id === socket.id) || room.spectators.find(s => s.id === socket.id)) {
       return socket.emit("errorMessage", "You are already in this room");
     }
 
-    if (room.state !== "waiting") {
-      return socket.emit("errorMessage", "Game has already started");
+    if (room.locked) {
+      return socket.emit("errorMessage", "Room is locked by the host");
     }
 
-    if (room.players.length >= room.maxPlayers) {
-      return socket.emit("errorMessage", "Room is full");
+    if (room.players.find(p => p.name === spectatorName) || room.spectators.find(s => s.name === spectatorName)) {
+      return socket.emit("errorMessage", "Name already taken in this room");
     }
 
-    if (room.players.find(p => p.name === playerName)) {
-      return socket.emit("errorMessage", "Player name already taken");
+    room.spectators.push({ id: socket.id, name: spectatorName });
+    socket.join(roomCode);
+    socket.join(spectatorChannel(roomCode));
+
+    io.to(roomCode).emit("playerList", playerListPayload(room));
+    socket.emit("roomState", buildRoomState(room, roomCode, socket.id));
+    socket.emit("spectatorJoined", { roomCode });
+    if (room.state !== GAME_STATES.WAITING) {
+      shareHandsWithSpectators(roomCode, socket.id);
+    }
+    console.log(`${spectatorName} is watching room ${roomCode}`);
+  });
+
+  socket.on("resumeSession", ({ roomCode: savedCode, token }) => {
+    // A tournament token outlives each table, so a code from an earlier game still leads to the current seat
+    const roomCode = (rooms[savedCode] && rooms[savedCode].players.some(p => p.token === token))
+      ? savedCode
+      : (token && tournamentSeatRoom(token)) || savedCode;
+    const room = rooms[roomCode];
+    const player = room && token && room.players.find(p => p.token === token);
+    const entry = token && tournamentEntrantByToken(token);
+    if (entry) {
+      entry.entrant.id = socket.id;
+      socket.join(tournamentChannel(entry.tournament.code));
+      socket.emit("tournamentJoined", { tournamentCode: entry.tournament.code });
+      socket.emit("tournamentUpdate", tournamentPayload(entry.tournament));
     }
+    if (!player) {
+      // Between tournament games there is no seat yet; the next game seats this socket
+      if (!entry) socket.emit("sessionExpired");
+      return;
+    }
+
+    // A refresh can reach us before the old socket's disconnect does; take the seat over either way
+    const oldId = player.id;
+    if (oldId !== socket.id) {
+      const oldSocket = io.sockets.sockets.get(oldId);
+      if (oldSocket) oldSocket.leave(roomCode);
+      rebindPlayerId(room, oldId, socket.id);
+    }
+    player.connected = true;
+    if (player.takenOver) {
+      // Hand the seat back from the bot that was covering it
+      player.isBot = false;
+      player.takenOver = false;
+      delete player.difficulty;
+    }
+    roomTimers(roomCode).clear(`seat:${token}`);
+    touchRoom(roomCode);
 
-    room.players.push({ id: socket.id, name: playerName });
     socket.join(roomCode);
-    
-    // Send updated player list and game configuration to everyone in the room
-    io.to(roomCode).emit("playerList", {
-      players: room.players.map(p => p.name),
-      config: room.gameConfig
-    });
-    
-    // Show lobby to the joining player
-    socket.emit("joinedRoom", roomCode);
-    console.log(`Player ${playerName} joined room ${roomCode}`);
+    migrateHost(roomCode);
+    socket.emit("roomState", buildRoomState(room, roomCode, socket.id));
+    socket.emit("sessionResumed", { roomCode });
+    if (roomCode !== savedCode) socket.emit("sessionToken", { roomCode, token });
+    io.to(roomCode).emit("playerList", playerListPayload(room));
+    persistRooms();
+    console.log(`Player ${player.name} resumed their seat in room ${roomCode}`);
+
+    if (room.paused && room.players.every(p => p.connected)) {
+      room.paused = false;
+      io.to(roomCode).emit("gameResumed", { playerName: player.name });
+      promptCurrentTurn(roomCode);
+    } else if (!room.paused) {
+      promptCurrentTurn(roomCode, socket.id);
+    }
   });
 
-  socket.on("startGame", ({ roomCode }) => {
+  socket.on("getRoomState", ({ roomCode }) => {
     const room = rooms[roomCode];
     if (!room) {
-      socket.emit("errorMessage", "Room not found");
-      return;
+      return socket.emit("errorMessage", "Room not found");
     }
-    
-    if (socket.id !== room.host) {
-      socket.emit("errorMessage", "Only the host can start the game");
-      return;
+
+    if (!roomMember(room, socket.id)) {
+      return socket.emit("errorMessage", "You are not in this room");
     }
-    
-    if (room.players.length < 2) {
-      io.to(roomCode).emit("errorMessage", "Need at least 2 players to start");
-      return;
+
+    socket.emit("roomState", buildRoomState(room, roomCode, socket.id));
+  });
+
+  socket.on("chatMessage", ({ roomCode, text }) => {
+    const room = rooms[roomCode];
+    if (!room) {
+      return socket.emit("errorMessage", "Room not found");
     }
 
-    // Initialize scores for all players
-    room.players.forEach(player => {
-      room.scores[player.id] = 0;
-    });
+    const member = roomMember(room, socket.id);
+    if (!member) {
+      return socket.emit("errorMessage", "You are not in this room");
+    }
 
-    console.log(`Game starting in room ${roomCode} with ${room.players.length} players`);
-    startRound(roomCode);
+    const message = typeof text === "string" ? text.trim() : "";
+    if (!message) return;
+    if (message.length > CHAT_MAX_LENGTH) {
+      return socket.emit("errorMessage", `Messages can be at most ${CHAT_MAX_LENGTH} characters`);
+    }
+
+    if (!allowChat(socket.id)) {
+      return socket.emit("errorMessage", "You're sending messages too fast");
+    }
+
+    const entry = { playerName: member.name, spectator: member.spectator, text: message, at: Date.now() };
+    room.chat = (room.chat || []).concat(entry).slice(-CHAT_HISTORY_LIMIT);
+    io.to(roomCode).emit("chatMessage", entry);
+    persistRooms();
   });
 
-  socket.on("makePrediction", ({ roomCode, prediction }) => {
+  socket.on("sendReaction", ({ roomCode, reaction }) => {
     const room = rooms[roomCode];
-    if (!room || room.state !== GAME_STATES.PREDICTING) {
-      socket.emit("errorMessage", "Not in prediction phase");
-      return;
+    if (!room) {
+      return socket.emit("errorMessage", "Room not found");
+    }
+
+    const member = roomMember(room, socket.id);
+    if (!member) {
+      return socket.emit("errorMessage", "You are not in this room");
+    }
+
+    if (!Object.prototype.hasOwnProperty.call(REACTIONS, reaction)) {
+      return socket.emit("errorMessage", "Unknown reaction");
+    }
+
+    if (!allowChat(socket.id)) {
+      return socket.emit("errorMessage", "You're sending messages too fast");
+    }
+
+    io.to(roomCode).emit("reaction", { playerName: member.name, reaction, text: REACTIONS[reaction] });
+  });
+
+  // A fresh seed only counts from the next game; the current one's seed is already fixed
+  socket.on("setClientSeed", ({ roomCode, client_seed }) => {
+    const room = rooms[roomCode];
+    if (!room) {
+      return socket.emit("errorMessage", "Room not found");
     }
 
     const player = room.players.find(p => p.id === socket.id);
     if (!player) {
-      socket.emit("errorMessage", "Player not found in room");
-      return;
+      return socket.emit("errorMessage", "You are not a player in this room");
     }
 
-    // Validate prediction range
-    if (prediction < 0 || prediction > room.cards_this_round) {
-      socket.emit("errorMessage", `Prediction must be between 0 and ${room.cards_this_round}`);
-      return;
+    player.client_seed = client_seed || null;
+    persistRooms();
+  });
+
+  socket.on("createTournament", (payload) => {
+    const { tournamentCode, playerName, tables, seats_per_table, games, trump_mode, profile_secret } = payload;
+    if (tournaments[tournamentCode]) {
+      return socket.emit("errorMessage", "Tournament already exists");
     }
 
-    // Get current prediction order
-    const currentPredictionOrder = room.predictionOrder || [];
-    const currentPlayerIndex = currentPredictionOrder.findIndex(id => id === socket.id);
-    
-    if (currentPlayerIndex === -1) {
-      socket.emit("errorMessage", "It's not your turn to predict");
-      return;
+    if (openCommitments(socket.id) >= MAX_ROOMS_PER_SOCKET) {
+      return socket.emit("errorMessage", `You can be in at most ${MAX_ROOMS_PER_SOCKET} rooms or tournaments at once`);
     }
-    
-    // Calculate total predictions so far (excluding current prediction)
-    const otherPredictions = { ...room.predictions };
-    delete otherPredictions[socket.id]; // Remove current player's existing prediction if any
-    const totalPredictions = Object.values(otherPredictions).reduce((sum, p) => sum + p, 0);
-    
-    // If this is the last player to predict, validate their prediction
-    if (currentPlayerIndex === room.players.length - 1) {
-      if (totalPredictions + prediction === room.cards_this_round) {
-        socket.emit("errorMessage", "Last player's prediction cannot make total equal to number of tricks");
-        return;
-      }
+
+    const shapeError = validateTournament(tables, seats_per_table, games);
+    if (shapeError) {
+      return socket.emit("errorMessage", shapeError);
     }
 
-    room.predictions[socket.id] = prediction;
-    console.log(`Player ${player.name} predicted ${prediction} tricks`);
-    
-    io.to(roomCode).emit("predictionMade", {
-      playerName: player.name,
-      prediction
-    });
+    // Every table plays with exactly seats_per_table players, so that is the room size to check
+    const { error, options } = roomOptionsFromPayload({ ...payload, maxPlayers: seats_per_table, is_public: false, seed: null });
+    if (error) {
+      return socket.emit("errorMessage", error);
+    }
 
-    // Remove current player from prediction order
-    room.predictionOrder = room.predictionOrder.filter(id => id !== socket.id);
+    // Named trump depends on each table's bidding, so the tables would stop playing the same deal
+    if (trump_mode === "bidder") {
+      return socket.emit("errorMessage", "Tournaments can't let the highest bidder name trump");
+    }
 
-    // Check if all predictions are in
-    if (Object.keys(room.predictions).length === room.players.length) {
-      console.log("All predictions made, starting play phase");
-      room.state = GAME_STATES.PLAYING;
-      io.to(roomCode).emit("allPredictionsMade", 
-        room.players.reduce((acc, player) => {
-          acc[player.name] = room.predictions[player.id];
-          return acc;
-        }, {})
-      );
-      startPlayPhase(roomCode);
-    } else {
-      // Notify next player to predict
-      const nextPlayerId = room.predictionOrder[0];
-      const nextPlayer = room.players.find(p => p.id === nextPlayerId);
-      
-      // Compute forbidden value for last predictor (UI help)
-      const totalPredictionsNext = Object.values(room.predictions).reduce((s, p) => s + p, 0);
-      const isLastNext = room.predictionOrder.length === 1;
-      const forbiddenNext = isLastNext ? (room.cards_this_round - totalPredictionsNext) : null;
-
-      io.to(roomCode).emit("nextPlayerPredict", {
-        currentPlayer: nextPlayer.name,
-        maxPrediction: room.cards_this_round,
-        isLast: isLastNext,
-        forbidden: forbiddenNext
-      });
-      console.log(`Next to predict: ${nextPlayer.name}`);
-    }
-  });
-
-  function startRound(roomCode) {
-    const room = rooms[roomCode];
-    const deck = createDeck(room.number_of_decks);
-    const players = room.players;
-
-    // Reset round-specific state
-    room.predictions = {};
-    room.tricks_won = {};
-    room.current_trick = [];
-    room.current_play_order = [];
-    room.next_player_index = 0;
-    players.forEach(player => {
-      room.tricks_won[player.id] = 0;
-    });
+    const { error: profileError, profile } = seatProfile(playerName, profile_secret);
+    if (profileError) {
+      return socket.emit("errorMessage", profileError);
+    }
 
-    // Enter predicting state immediately to block early plays
-    room.state = GAME_STATES.PREDICTING;
-
-    // Deal cards to players
-    room.playerHands = {};
-    players.forEach(player => {
-      room.playerHands[player.id] = deck.splice(0, room.cards_this_round);
-      // Send cards to player with a small delay to ensure UI is ready
-      setTimeout(() => {
-        io.to(player.id).emit("yourCards", room.playerHands[player.id]);
-      }, 100);
-    });
+    // A bot finishes the seat of anyone who doesn't come back, so no table is left a player short
+    options.botTakeover = true;
+    tournaments[tournamentCode] = {
+      code: tournamentCode,
+      director: playerName,
+      entrants: [{ id: socket.id, name: playerName, token: randomUUID(), profile }],
+      tables,
+      seats_per_table,
+      games,
+      options,
+      config: newRoomState({ id: socket.id, name: playerName }, options).gameConfig,
+      state: "waiting", // waiting, playing, between (games) or finished
+      game_index: 0,
+      table_codes: [], // Rooms of the game in progress, one per table
+      results: [], // Per game: { seed, tables: [{ table, seats, scores, gameId }] }
+      last_active: Date.now() // Last time an entrant sent the tournament or one of its tables anything
+    };
+    scheduleTournamentExpiry(tournamentCode);
 
-    // Determine trump suit for this round
-    const trump = room.trump_rotation[(room.current_round - 1) % 4];
-    
-    // Determine prediction order (rotates each round)
-    const leaderIndex = room.turn_index % players.length;
-    const predictionOrder = players.slice(leaderIndex).concat(players.slice(0, leaderIndex));
-    room.predictionOrder = predictionOrder.map(p => p.id);
-
-    console.log(`Starting round ${room.current_round} in room ${roomCode}`);
-    console.log(`Trump: ${trump}, Cards this round: ${room.cards_this_round}`);
-    console.log(`Prediction order: ${predictionOrder.map(p => p.name).join(', ')}`);
-
-    // Send round start info first
-    io.to(roomCode).emit("roundStart", {
-      round: room.current_round,
-      cardsThisRound: room.cards_this_round,
-      trump,
-      firstPlayer: predictionOrder[0].name,
-      ascending: room.ascending
-    });
+    socket.join(tournamentChannel(tournamentCode));
+    socket.emit("tournamentJoined", { tournamentCode });
+    broadcastTournament(tournaments[tournamentCode]);
+    persistRooms();
+    console.log(`Tournament ${tournamentCode} created by ${playerName}`);
+  });
 
-    // Start prediction prompt after a delay to ensure cards are visible
-    setTimeout(() => {
-      // Compute forbidden for the first predictor (will generally be null unless single player)
-      const totalPredictions = Object.values(room.predictions).reduce((sum, p) => sum + p, 0);
-      const isLast = room.predictionOrder.length === 1;
-      const forbidden = isLast ? (room.cards_this_round - totalPredictions) : null;
-
-      io.to(roomCode).emit("requestPrediction", {
-        playerOrder: predictionOrder.map(p => p.name),
-        currentPlayer: predictionOrder[0].name,
-        maxPrediction: room.cards_this_round,
-        isLast,
-        forbidden
-      });
-      console.log(`Requesting prediction from ${predictionOrder[0].name}`);
-    }, 1500);
-  }
-
-  function startPlayPhase(roomCode) {
-    const room = rooms[roomCode];
-    const leaderIndex = room.turn_index % room.players.length;
-    const playOrder = room.players.slice(leaderIndex).concat(room.players.slice(0, leaderIndex));
-    room.current_play_order = playOrder.map(p => p.id);
-    room.next_player_index = 0;
-    
-    io.to(roomCode).emit("playPhaseStart", {
-      firstPlayer: playOrder[0].name,
-      playOrder: playOrder.map(p => p.name)
-    });
+  socket.on("joinTournament", ({ tournamentCode, playerName, profile_secret }) => {
+    const tournament = tournaments[tournamentCode];
+    if (!tournament) {
+      return socket.emit("errorMessage", "Tournament not found");
+    }
 
-    // Notify first player to play
-    setTimeout(() => {
-      io.to(playOrder[0].id).emit("yourTurnToPlay");
-    }, 1000);
-    
-    console.log(`Play phase started. First player: ${playOrder[0].name}`);
-  }
-
-  function determineTrickWinner(trick, trumpSuit) {
-    const leadSuit = trick[0].card.suit;
-    let winningCard = trick[0];
-    let winningValue = getCardValue(trick[0].card.rank);
-    let isTrump = (trick[0].card.suit === trumpSuit);
-
-    for (let i = 1; i < trick.length; i++) {
-      const currentCard = trick[i];
-      const currentValue = getCardValue(currentCard.card.rank);
-      const currentIsTrump = (currentCard.card.suit === trumpSuit);
-
-      if (currentIsTrump && !isTrump) {
-        winningCard = currentCard;
-        winningValue = currentValue;
-        isTrump = true;
-      } else if (currentIsTrump && isTrump) {
-        if (currentValue > winningValue) {
-          winningCard = currentCard;
-          winningValue = currentValue;
-        } else if (currentValue === winningValue) {
-          winningCard = currentCard;
-        }
-      } else if (!currentIsTrump && !isTrump && currentCard.card.suit === leadSuit) {
-        if (currentValue > winningValue) {
-          winningCard = currentCard;
-          winningValue = currentValue;
-        } else if (currentValue === winningValue) {
-          winningCard = currentCard;
-        }
-      }
-      // If card doesn't follow suit and isn't trump, it can't win
+    if (tournament.state !== "waiting") {
+      return socket.emit("errorMessage", "Tournament has already started");
     }
 
-    return winningCard;
-  }
+    if (tournament.entrants.length >= tournament.tables * tournament.seats_per_table) {
+      return socket.emit("errorMessage", "Tournament is full");
+    }
 
-  function endRound(roomCode) {
-    const room = rooms[roomCode];
-    
-    // Prevent plays during scoring/transition
-    room.state = GAME_STATES.SCORING;
-
-    // Calculate scores
-    room.players.forEach(player => {
-      const predicted = room.predictions[player.id] || 0;
-      const actual = room.tricks_won[player.id] || 0;
-      
-      if (predicted === actual) {
-        room.scores[player.id] += 10 + (actual * 11); // Exact prediction bonus (per-hand scaling)
-      } else {
-        room.scores[player.id] -= Math.abs(predicted - actual);
-      }
-    });
+    if (tournament.entrants.some(e => e.id === socket.id || e.name === playerName)) {
+      return socket.emit("errorMessage", "Player name already taken");
+    }
 
-    // Convert scores and predictions to player names for display
-    const playerScores = room.players.reduce((acc, player) => {
-      acc[player.name] = room.scores[player.id];
-      return acc;
-    }, {});
-
-    const playerPredictions = room.players.reduce((acc, player) => {
-      acc[player.name] = {
-        predicted: room.predictions[player.id] || 0,
-        actual: room.tricks_won[player.id] || 0
-      };
-      return acc;
-    }, {});
-
-    // Send round results
-    io.to(roomCode).emit("roundEnd", {
-      predictions: playerPredictions,
-      tricksWon: room.tricks_won,
-      scores: playerScores
-    });
+    const { error: profileError, profile } = seatProfile(playerName, profile_secret);
+    if (profileError) {
+      return socket.emit("errorMessage", profileError);
+    }
 
-    console.log(`Round ${room.current_round} ended in room ${roomCode}`);
+    tournament.entrants.push({ id: socket.id, name: playerName, token: randomUUID(), profile });
+    socket.join(tournamentChannel(tournamentCode));
+    socket.emit("tournamentJoined", { tournamentCode });
+    broadcastTournament(tournament);
+    persistRooms();
+    console.log(`${playerName} entered tournament ${tournamentCode}`);
+  });
 
-    // Prepare for next round
-    room.turn_index = (room.turn_index + 1) % room.players.length;
-    
-    // Update cards for next round
-    if (room.ascending) {
-      if (room.cards_this_round < room.max_round_cards) {
-        room.cards_this_round++;
-      } else {
-        room.ascending = false;
-        room.cards_this_round--;
-      }
-    } else {
-      if (room.cards_this_round > room.min_round_cards) {
-        room.cards_this_round--;
-      } else {
-        // Game over
-        const finalScores = room.players.reduce((acc, player) => {
-          acc[player.name] = room.scores[player.id];
-          return acc;
-        }, {});
-        
-        console.log(`Game over in room ${roomCode}`);
-        io.to(roomCode).emit("gameOver", {
-          finalScores: finalScores
-        });
-        
-        // Reset room state for a fresh game and auto-restart after a short delay
-        room.state = GAME_STATES.WAITING;
-        room.current_round = 1;
-        room.cards_this_round = room.min_round_cards;
-        room.turn_index = 0;
-        room.ascending = true;
-        // Reset scores for new game
-
-        setTimeout(() => startRound(roomCode), 3000);
-        return;
-      }
+  socket.on("startTournament", ({ tournamentCode }) => {
+    const tournament = tournaments[tournamentCode];
+    if (!tournament) {
+      return socket.emit("errorMessage", "Tournament not found");
     }
 
-    room.current_round++;
-    
-    // Start next round after a brief delay
-    setTimeout(() => {
-      startRound(roomCode);
-    }, 5000);
-  }
+    const entrant = tournament.entrants.find(e => e.id === socket.id);
+    if (!entrant || entrant.name !== tournament.director) {
+      return socket.emit("errorMessage", "Only the director can start the tournament");
+    }
 
-  socket.on("playCard", ({ roomCode, cardIndex }) => {
+    if (tournament.state !== "waiting") {
+      return socket.emit("errorMessage", "Tournament has already started");
+    }
+
+    const needed = tournament.tables * tournament.seats_per_table;
+    if (tournament.entrants.length !== needed) {
+      return socket.emit("errorMessage", `The tournament needs exactly ${needed} players`);
+    }
+
+    seatTournamentGame(tournamentCode);
+  });
+
+  socket.on("startGame", ({ roomCode }) => {
     const room = rooms[roomCode];
-    if (!room || room.state !== GAME_STATES.PLAYING) {
-      socket.emit("errorMessage", "Not in play phase");
+    if (!room) {
+      socket.emit("errorMessage", "Room not found");
       return;
     }
 
-    const player = room.players.find(p => p.id === socket.id);
-    if (!player) {
-      socket.emit("errorMessage", "Player not found");
+    if (socket.id !== room.host) {
+      socket.emit("errorMessage", "Only the host can start the game");
       return;
     }
 
-    // Enforce turn order strictly
-    if (room.current_play_order && room.current_play_order.length > 0) {
-      const expectedPlayerId = room.current_play_order[room.next_player_index];
-      if (socket.id !== expectedPlayerId) {
-        socket.emit("errorMessage", "It's not your turn to play");
-        return;
-      }
+    if (room.tournament) {
+      socket.emit("errorMessage", "Tournament games start on their own");
+      return;
+    }
+    
+    if (room.state !== GAME_STATES.WAITING) {
+      socket.emit("errorMessage", "A game is already in progress");
+      return;
+    }
+    
+    if (room.players.length < 2) {
+      io.to(roomCode).emit("errorMessage", "Need at least 2 players to start");
+      return;
     }
 
-    // Validate card play
-    const hand = room.playerHands[socket.id];
-    if (!hand || cardIndex < 0 || cardIndex >= hand.length) {
-      socket.emit("errorMessage", "Invalid card selection");
+    // Between games a seat may be held for someone who dropped out; the next game waits for them
+    const offline = room.players.find(p => !p.connected);
+    if (offline) {
+      socket.emit("errorMessage", `Waiting for ${offline.name} to reconnect`);
       return;
     }
 
-    // Check if player must follow suit
-    if (room.current_trick.length > 0) {
-      const leadSuit = room.current_trick[0].card.suit;
-      const hasLeadSuit = hand.some(c => c.suit === leadSuit);
-      
-      if (hasLeadSuit && hand[cardIndex].suit !== leadSuit) {
-        socket.emit("errorMessage", "You must follow the lead suit if possible");
-        return;
-      }
+    startNextGame(roomCode);
+  });
+
+  socket.on("voteRematch", ({ roomCode }) => {
+    const room = rooms[roomCode];
+    if (!room) {
+      return socket.emit("errorMessage", "Room not found");
     }
 
-    const card = hand[cardIndex];
+    const player = room.players.find(p => p.id === socket.id && !p.isBot);
+    if (!player) {
+      return socket.emit("errorMessage", "Only players at the table can vote");
+    }
 
-    // Remove card from hand and add to trick
-    room.playerHands[socket.id] = hand.filter((_, index) => index !== cardIndex);
-    room.current_trick.push({ playerId: socket.id, playerName: player.name, card });
+    if (room.tournament || room.state !== GAME_STATES.WAITING || !matchUnderway(room.match)) {
+      return socket.emit("errorMessage", "There is no game to vote on");
+    }
 
-    // Update player's hand
-    io.to(socket.id).emit("yourCards", room.playerHands[socket.id]);
+    if (!room.match.votes.includes(player.name)) room.match.votes.push(player.name);
+    io.to(roomCode).emit("matchUpdate", matchPayload(room));
+    persistRooms();
+    console.log(`${player.name} voted for the next game in room ${roomCode}`);
+    checkRematchVotes(roomCode);
+  });
 
-    console.log(`Player ${player.name} played ${card.rank} of ${card.suit}`);
-    io.to(roomCode).emit("cardPlayed", {
-      playerName: player.name,
-      card
-    });
+  socket.on("returnToLobby", ({ roomCode }) => {
+    const room = rooms[roomCode];
+    if (!room) {
+      return socket.emit("errorMessage", "Room not found");
+    }
 
-    // Advance to next player in order
-    if (room.current_play_order && room.current_play_order.length > 0) {
-      room.next_player_index = (room.next_player_index + 1) % room.players.length;
+    if (socket.id !== room.host) {
+      return socket.emit("errorMessage", "Only the host can return the room to the lobby");
     }
 
-    // If all players have played a card, determine trick winner
-    if (room.current_trick.length === room.players.length) {
-      const trump = room.trump_rotation[(room.current_round - 1) % 4];
-      const winningPlay = determineTrickWinner(room.current_trick, trump);
+    if (room.tournament || room.state !== GAME_STATES.WAITING || !matchUnderway(room.match)) {
+      return socket.emit("errorMessage", "The room can only return to the lobby between games");
+    }
 
-      // Update tricks won
-      room.tricks_won[winningPlay.playerId] = (room.tricks_won[winningPlay.playerId] || 0) + 1;
+    returnToLobby(roomCode);
+    console.log(`Room ${roomCode} returned to the lobby`);
+  });
 
-      // Notify players of trick result
-      io.to(roomCode).emit("trickWon", {
-        playerName: winningPlay.playerName,
-        trick: room.current_trick,
-        tricksWon: room.players.reduce((acc, player) => {
-          acc[player.name] = room.tricks_won[player.id] || 0;
-          return acc;
-        }, {})
-      });
+  socket.on("makePrediction", ({ roomCode, prediction }) => {
+    const error = applyPrediction(roomCode, socket.id, prediction);
+    if (error) socket.emit("errorMessage", error);
+    else markPresent(roomCode, socket.id);
+  });
 
-      console.log(`Trick won by ${winningPlay.playerName}`);
+  socket.on("nameTrump", ({ roomCode, suit }) => {
+    const error = applyTrumpChoice(roomCode, socket.id, suit);
+    if (error) socket.emit("errorMessage", error);
+    else markPresent(roomCode, socket.id);
+  });
 
-      // Reset current trick
-      room.current_trick = [];
+  socket.on("playCard", ({ roomCode, cardId }) => {
+    const error = applyCardPlay(roomCode, socket.id, cardId);
+    if (error) socket.emit("errorMessage", error);
+    else markPresent(roomCode, socket.id);
+  });
 
-      // Check if round is over (all cards played)
-      const totalTricksPlayed = Object.values(room.tricks_won).reduce((sum, t) => sum + t, 0);
-      if (totalTricksPlayed === room.cards_this_round) {
-        // Wait 4s so everyone can see the completed trick before ending the round
-        setTimeout(() => endRound(roomCode), 4000);
-      } else {
-        // Next trick starts with the winner
-        const winnerIndex = room.players.findIndex(p => p.id === winningPlay.playerId);
-        const playOrder = room.players.slice(winnerIndex).concat(room.players.slice(0, winnerIndex));
-        room.current_play_order = playOrder.map(p => p.id);
-        room.next_player_index = 0;
-        
-        // Wait 4s so everyone can see the completed trick before starting next trick
-        setTimeout(() => {
-          io.to(roomCode).emit("nextTrick", {
-            firstPlayer: playOrder[0].name,
-            playOrder: playOrder.map(p => p.name)
-          });
-          io.to(playOrder[0].id).emit("yourTurnToPlay");
-        }, 4000);
-      }
-    } else {
-      // Notify next player to play using enforced order
-      if (room.current_play_order && room.current_play_order.length > 0) {
-        const nextPlayerId = room.current_play_order[room.next_player_index];
-        io.to(nextPlayerId).emit("yourTurnToPlay");
-      } else {
-        // Fallback to original logic if order is not initialized
-        const currentPlayerIndex = room.players.findIndex(p => p.id === socket.id);
-        const nextPlayerIndex = (currentPlayerIndex + 1) % room.players.length;
-        const nextPlayer = room.players[nextPlayerIndex];
-        io.to(nextPlayer.id).emit("yourTurnToPlay");
-      }
-    }
+  socket.on("imBack", ({ roomCode }) => {
+    markPresent(roomCode, socket.id);
   });
 
   socket.on("disconnect", () => {
     console.log(`Player disconnected: ${socket.id}`);
+    delete chatActivity[socket.id];
+    delete eventActivity[socket.id];
+    leaveTournaments(socket.id);
     for (const [roomCode, room] of Object.entries(rooms)) {
-      const playerIndex = room.players.findIndex(p => p.id === socket.id);
-      if (playerIndex !== -1) {
-        const playerName = room.players[playerIndex].name;
-        room.players = room.players.filter(p => p.id !== socket.id);
-        io.to(roomCode).emit("playerList", {
-          players: room.players.map(p => p.name),
-          config: room.gameConfig
-        });
-        
-        // If game is in progress, try to continue with remaining players
-        if (room.state !== GAME_STATES.WAITING) {
-          if (room.players.length >= 2) {
-            // Clean up state for the disconnected player
-            delete room.scores[socket.id];
-            delete room.predictions[socket.id];
-            delete room.tricks_won[socket.id];
-            delete room.playerHands[socket.id];
-            if (Array.isArray(room.current_play_order) && room.current_play_order.length) {
-              room.current_play_order = room.current_play_order.filter(id => id !== socket.id);
-              if (room.next_player_index >= room.current_play_order.length) {
-                room.next_player_index = 0;
-              }
-            }
-            // Inform players and restart the current round with remaining players
-            io.to(roomCode).emit("errorMessage", `${playerName} disconnected. Restarting current round with ${room.players.length} players.`);
-            // Ensure turn index stays in range
-            room.turn_index = room.turn_index % room.players.length;
-            // Reset transient per-round state; keep scores and round counters
-            room.predictions = {};
-            room.tricks_won = {};
-            room.current_trick = [];
-            room.current_play_order = [];
-            room.next_player_index = 0;
-            room.state = GAME_STATES.PREDICTING;
-            setTimeout(() => startRound(roomCode), 500);
-          } else {
-            // Not enough players to continue
-            io.to(roomCode).emit("gameEnded", `${playerName} has disconnected`);
-            room.state = GAME_STATES.WAITING;
-          }
-        }
+      const spectator = room.spectators.find(s => s.id === socket.id);
+      if (spectator) {
+        room.spectators = room.spectators.filter(s => s !== spectator);
+        io.to(roomCode).emit("playerList", playerListPayload(room));
+        console.log(`${spectator.name} stopped watching room ${roomCode}`);
+        continue;
+      }
 
-        console.log(`Player ${playerName} disconnected from room ${roomCode}`);
+      const player = room.players.find(p => p.id === socket.id);
+      if (!player) continue;
 
-        // If room is empty, delete it
-        if (room.players.length === 0) {
-          delete rooms[roomCode];
-          console.log(`Room ${roomCode} deleted (empty)`);
-        }
+      // Nothing to preserve in the lobby or once the match is decided, so free the seat straight
+      // away; between the games of a match the seat is held like it is mid-game
+      if (room.state === GAME_STATES.WAITING && (!matchUnderway(room.match) || matchDecided(room.match))) {
+        removePlayer(roomCode, socket.id);
+        continue;
       }
+
+      // Mid-game: hold the seat and pause until the player resumes or the grace period runs out
+      holdSeat(roomCode, player);
     }
   });
-});
\ No newline at end of file
+});
+
+// Pick up the games that were running before a restart: every seat waits for its player to
+// reconnect, and whatever round or trick transition was pending is scheduled again
+function restoreRooms() {
+  for (const [roomCode, room] of Object.entries(rooms)) {
+    room.spectators = [];
+    // Nobody is connected after a restart; marking every seat first keeps holdSeat from handing
+    // the host role to a player whose seat simply hasn't been held yet
+    const humans = room.players.filter(p => !p.isBot);
+    humans.forEach(player => { player.connected = false; });
+    humans.forEach(player => holdSeat(roomCode, player));
+    scheduleIdleExpiry(roomCode);
+    // A host-paused game keeps its pending step until the host resumes
+    if (room.pending_transition && !room.host_paused) {
+      const { type, due } = room.pending_transition;
+      scheduleTransition(roomCode, type, Math.max(0, due - Date.now()));
+    }
+  }
+
+  // A tournament that was between games when the server stopped deals its next game now
+  for (const [code, tournament] of Object.entries(tournaments)) {
+    scheduleTournamentExpiry(code);
+    if (tournament.state === "between") seatTournamentGame(code);
+  }
+
+  const restored = Object.keys(rooms).length;
+  if (restored > 0) console.log(`Restored ${restored} room(s) from disk`);
+}
+
+restoreRooms();
@@ -0,0 +1,57 @@
+// Matches: a room plays a series of games against the same opponents and the winner is whoever
+// takes the most games, with total points over the series breaking ties. A single game is a
+// match of one. match is { games, results: [{ game, gameId, scores, winners }], votes: [name] }.
+
+export const MAX_MATCH_GAMES = 9;
+
+// Error message for a match length, or null
+export function validateMatchGames(games) {
+  if (!Number.isInteger(games) || games < 1 || games > MAX_MATCH_GAMES) {
+    return `A match is between 1 and ${MAX_MATCH_GAMES} games`;
+  }
+  return null;
+}
+
+export function newMatch(games) {
+  return { games, results: [], votes: [] };
+}
+
+// Add a finished game; scores are final points by player name, and everyone on the top score wins it
+export function recordMatchGame(match, scores, gameId) {
+  const best = Math.max(...Object.values(scores));
+  match.results.push({
+    game: match.results.length + 1,
+    gameId,
+    scores: { ...scores },
+    winners: Object.keys(scores).filter(name => scores[name] === best)
+  });
+  match.votes = [];
+}
+
+// Everyone who has played a game of the match, most games won first, then most points
+export function matchStandings(match) {
+  const players = {};
+  match.results.forEach(result => {
+    Object.entries(result.scores).forEach(([name, score]) => {
+      if (!players[name]) players[name] = { name, wins: 0, totalScore: 0, games: 0 };
+      players[name].totalScore += score;
+      players[name].games++;
+      if (result.winners.includes(name)) players[name].wins++;
+    });
+  });
+  return Object.values(players).sort((a, b) => b.wins - a.wins || b.totalScore - a.totalScore);
+}
+
+// The match is over once every game is played or nobody can catch the leader on games won
+export function matchDecided(match) {
+  const remaining = match.games - match.results.length;
+  if (remaining <= 0) return true;
+  const [leader, runnerUp] = matchStandings(match);
+  return !!leader && !!runnerUp && leader.wins - runnerUp.wins > remaining;
+}
+
+// Games have been played but the players haven't gone back to the lobby: between games, or
+// looking at the final standings
+export function matchUnderway(match) {
+  return !!match && match.results.length > 0;
+}
@@ -0,0 +1,182 @@
+// The payload each socket event may carry. A payload must be an object with only the fields its
+// schema lists, each passing its rule, before the event reaches a handler; handlers can then
+// rely on types and sizes and only check what depends on the game.
+
+import { MAX_PLAYERS, MAX_DECKS } from "./engine.js";
+import { MAX_TOURNAMENT_TABLES, MAX_TOURNAMENT_GAMES } from "./tournament.js";
+import { MAX_MATCH_GAMES } from "./match.js";
+
+export const MAX_NAME_LENGTH = 20;
+// Codes a player picks are kept short enough that tournament table codes built from them
+// (code-G1T1 plus a suffix on a clash) still fit the limit for codes sent back to the server
+export const MAX_NEW_CODE_LENGTH = 16;
+export const MAX_CODE_LENGTH = 32;
+// Most cards one player can hold: every deck shared between two
+const MAX_HAND = 52 * MAX_DECKS / 2;
+
+// Letters and digits, with single spaces and . _ ' - in between
+const NAME_PATTERN = /^[\p{L}\p{N}]+(?:[ ._'-]+[\p{L}\p{N}]+)*[.']?$/u;
+const CODE_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+// Rules take a field's value and return an error message, or null when it is acceptable
+
+function text(label, max) {
+  return value => (typeof value === "string" && value.length <= max)
+    ? null
+    : `${label} must be text of at most ${max} characters`;
+}
+
+function code(label, max = MAX_CODE_LENGTH) {
+  return value => {
+    if (typeof value !== "string" || value.length === 0) return `${label} is missing`;
+    if (value.length > max) return `${label} can be at most ${max} characters`;
+    return CODE_PATTERN.test(value) ? null : `${label} may only contain letters, digits, - and _`;
+  };
+}
+
+function name(label) {
+  return value => {
+    if (typeof value !== "string" || value.length === 0) return `${label} is missing`;
+    if (value.length > MAX_NAME_LENGTH) return `${label} can be at most ${MAX_NAME_LENGTH} characters`;
+    return NAME_PATTERN.test(value)
+      ? null
+      : `${label} may only contain letters, digits and single spaces or . _ ' - between them`;
+  };
+}
+
+function integer(label, min, max) {
+  return value => {
+    if (!Number.isInteger(value)) return `${label} must be a whole number`;
+    return value >= min && value <= max ? null : `${label} must be between ${min} and ${max}`;
+  };
+}
+
+function boolean(label) {
+  return value => typeof value === "boolean" ? null : `${label} must be true or false`;
+}
+
+function list(label, max, itemRule) {
+  return value => {
+    if (!Array.isArray(value) || value.length > max) return `${label} must be a list of at most ${max} entries`;
+    for (const item of value) {
+      const error = itemRule(item);
+      if (error) return error;
+    }
+    return null;
+  };
+}
+
+function shape(label, schema) {
+  return value => checkFields(schema, value, label);
+}
+
+// Leaving the field out (or sending null) is fine; anything else must pass rule
+function optional(rule) {
+  return value => (value === undefined || value === null) ? null : rule(value);
+}
+
+function checkFields(schema, payload, label) {
+  if (!payload || typeof payload !== "object" || Array.isArray(payload)) return `${label} is malformed`;
+  const unexpected = Object.keys(payload).find(key => !Object.prototype.hasOwnProperty.call(schema, key));
+  if (unexpected !== undefined) return `${label} has an unexpected field "${unexpected}"`;
+  for (const [field, rule] of Object.entries(schema)) {
+    const error = rule(payload[field]);
+    if (error) return error;
+  }
+  return null;
+}
+
+const roomCode = code("Room code");
+const tournamentCode = code("Tournament code");
+const playerName = name("Name");
+const clientSeed = optional(text("Client seed", 64));
+const profileSecret = optional(text("Profile secret", 128));
+
+// Game settings shared by createRoom and createTournament; the rules of the game itself
+// (enough cards, a valid schedule, known trump mode) are checked when the room is set up
+const roomSettings = {
+  number_of_decks: integer("Number of decks", 1, MAX_DECKS),
+  max_round_cards: integer("Maximum round cards", 1, MAX_HAND),
+  min_round_cards: integer("Minimum round cards", 1, MAX_HAND),
+  reconnect_grace_seconds: optional(integer("Reconnect grace", 0, 3600)),
+  bot_takeover: optional(boolean("Bot takeover")),
+  turn_seconds: optional(integer("Turn clock", 0, 600)),
+  away_after_timeouts: optional(integer("Timeouts before away", 0, 20)),
+  spectator_hands_delay: optional(integer("Spectator hands delay", 0, 3600)),
+  scoring: optional(shape("Scoring rules", {
+    preset: text("Scoring preset", 20),
+    hit: optional(text("Exact bid formula", 100)),
+    miss: optional(text("Missed bid formula", 100)),
+    zeroBonus: optional(text("Zero-bid bonus formula", 100))
+  })),
+  trump_mode: optional(text("Trump mode", 20)),
+  trump_order: optional(list("Custom trump order", 20, text("Trump", 20))),
+  schedule_type: optional(text("Round schedule", 20)),
+  max_round_repeats: optional(integer("Max-card round repeats", 1, 10)),
+  custom_rounds: optional(list("Custom schedule", 60, integer("Cards in a round", 1, MAX_HAND)))
+};
+
+// Everything the host of a room decides, when creating it and again in the lobby
+const hostSettings = {
+  maxPlayers: integer("Players", 2, MAX_PLAYERS),
+  ...roomSettings,
+  // Tournaments set their own number of games, so only rooms have a match length
+  match_games: optional(integer("Match length", 1, MAX_MATCH_GAMES)),
+  is_public: optional(boolean("Public room")),
+  seed: optional(text("Seed", 64))
+};
+
+const settingsUpdate = Object.fromEntries(Object.entries(hostSettings).map(([key, rule]) => [key, optional(rule)]));
+
+export const EVENT_SCHEMAS = {
+  createRoom: {
+    roomCode: code("Room code", MAX_NEW_CODE_LENGTH),
+    playerName,
+    ...hostSettings,
+    client_seed: clientSeed,
+    profile_secret: profileSecret
+  },
+  // Only the settings being changed need to be sent
+  updateRoomSettings: { roomCode, ...settingsUpdate },
+  joinRoom: { roomCode, playerName, client_seed: clientSeed, profile_secret: profileSecret },
+  addBot: { roomCode, difficulty: text("Bot difficulty", 20) },
+  removeBot: { roomCode, botName: name("Bot name") },
+  kickPlayer: { roomCode, playerName },
+  transferHost: { roomCode, playerName },
+  setRoomLocked: { roomCode, locked: boolean("Locked") },
+  pauseGame: { roomCode },
+  resumeGame: { roomCode },
+  joinAsSpectator: { roomCode, spectatorName: playerName },
+  // clientSeed is the browser's own copy of its seed, saved alongside the session
+  resumeSession: { roomCode, token: text("Session token", 64), clientSeed },
+  getRoomState: { roomCode },
+  chatMessage: { roomCode, text: text("Message", 1000) },
+  sendReaction: { roomCode, reaction: text("Reaction", 20) },
+  setClientSeed: { roomCode, client_seed: clientSeed },
+  createTournament: {
+    tournamentCode: code("Tournament code", MAX_NEW_CODE_LENGTH),
+    playerName,
+    // Tables are always full, so seats_per_table stands in for the room size
+    maxPlayers: optional(integer("Players", 2, MAX_PLAYERS)),
+    ...roomSettings,
+    tables: integer("Tables", 2, MAX_TOURNAMENT_TABLES),
+    seats_per_table: integer("Seats per table", 2, MAX_PLAYERS),
+    games: integer("Games", 1, MAX_TOURNAMENT_GAMES),
+    profile_secret: profileSecret
+  },
+  joinTournament: { tournamentCode, playerName, profile_secret: profileSecret },
+  startTournament: { tournamentCode },
+  startGame: { roomCode },
+  voteRematch: { roomCode },
+  returnToLobby: { roomCode },
+  makePrediction: { roomCode, prediction: integer("Prediction", 0, MAX_HAND) },
+  nameTrump: { roomCode, suit: text("Trump", 20) },
+  playCard: { roomCode, cardId: text("Card", 16) },
+  imBack: { roomCode }
+};
+
+// Error message for an event's payload, or null if the handler may have it
+export function validatePayload(event, payload) {
+  if (!Object.prototype.hasOwnProperty.call(EVENT_SCHEMAS, event)) return `Unknown request "${event}"`;
+  return checkFields(EVENT_SCHEMAS[event], payload, "Request");
+}
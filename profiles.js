@@ -0,0 +1,120 @@
+import { createHash } from "crypto";
+import { DEFAULT_RATING, updateRatings } from "./ratings.js";
+
+// Lightweight player identities: a name claimed with a secret the browser keeps, and the
+// finished games recorded against it. db is { profiles: { key: profile }, games: [game] }, where
+// profiles has no prototype (see loadProfiles), since its keys come from player names.
+
+const MAX_SECRET_LENGTH = 128;
+
+export function profileKey(name) {
+  return String(name).trim().toLowerCase();
+}
+
+function hashSecret(secret) {
+  return createHash("sha256").update(secret).digest("hex");
+}
+
+// The profile key for name, creating the profile the first time the name is used;
+// returns { error } when the name is already claimed with a different secret
+export function claimProfile(db, name, secret) {
+  if (typeof secret !== "string" || secret.length < 16 || secret.length > MAX_SECRET_LENGTH) {
+    return { error: "Profile secret is missing or malformed" };
+  }
+  const key = profileKey(name);
+  if (!key) return { error: "A profile needs a name" };
+
+  const existing = db.profiles[key];
+  if (existing && existing.secretHash !== hashSecret(secret)) {
+    return { error: `The name "${String(name).trim()}" belongs to another player's profile. Pick another name or play without saving results` };
+  }
+  if (!existing) {
+    db.profiles[key] = {
+      name: String(name).trim(),
+      secretHash: hashSecret(secret),
+      rating: DEFAULT_RATING,
+      games: 0,
+      wins: 0,
+      createdAt: new Date().toISOString()
+    };
+  }
+  return { key };
+}
+
+// Store a finished game and update the ratings of its profiled players.
+// results are { name, profile, score } per seat; profile is null for guests and bots.
+// Returns each profiled player's rating before and after, keyed by seat name
+export function recordGame(db, { gameId, roomCode, results }) {
+  const best = Math.max(...results.map(r => r.score));
+  const place = (score) => 1 + results.filter(r => r.score > score).length;
+  const rated = results.filter(r => r.profile && db.profiles[r.profile]);
+  const next = updateRatings(rated.map(r => ({ key: r.profile, rating: db.profiles[r.profile].rating, score: r.score })));
+
+  const changes = {};
+  rated.forEach(r => {
+    const profile = db.profiles[r.profile];
+    changes[r.name] = { before: profile.rating, after: next[r.profile] };
+    profile.rating = next[r.profile];
+    profile.games++;
+    if (r.score === best) profile.wins++;
+  });
+
+  db.games.push({
+    gameId,
+    roomCode,
+    endedAt: new Date().toISOString(),
+    results: results.map(r => ({
+      name: r.name,
+      profile: r.profile || null,
+      score: r.score,
+      place: place(r.score),
+      rating: changes[r.name] || null
+    }))
+  });
+  return changes;
+}
+
+// Attach the log id to a game recorded while its log was still private (a tournament table in play)
+export function revealGameId(db, roomCode, gameId) {
+  for (let i = db.games.length - 1; i >= 0; i--) {
+    const game = db.games[i];
+    if (game.roomCode === roomCode && game.gameId === null) {
+      game.gameId = gameId;
+      return;
+    }
+  }
+}
+
+// Profiles that have finished a game, best rated first
+export function leaderboard(db) {
+  return Object.entries(db.profiles)
+    .filter(([, profile]) => profile.games > 0)
+    .map(([key, profile]) => ({ key, name: profile.name, rating: profile.rating, games: profile.games, wins: profile.wins }))
+    .sort((a, b) => b.rating - a.rating || b.games - a.games);
+}
+
+// A profile and its most recent games, newest first, or null; the secret hash never leaves the server
+export function playerHistory(db, name, limit = 100) {
+  const key = profileKey(name);
+  const profile = db.profiles[key];
+  if (!profile) return null;
+
+  const history = [];
+  for (let i = db.games.length - 1; i >= 0 && history.length < limit; i--) {
+    const game = db.games[i];
+    const own = game.results.find(r => r.profile === key);
+    if (!own) continue;
+    history.push({
+      gameId: game.gameId,
+      playedAs: own.name,
+      roomCode: game.roomCode,
+      endedAt: game.endedAt,
+      score: own.score,
+      place: own.place,
+      players: game.results.length,
+      opponents: game.results.filter(r => r !== own).map(r => r.name),
+      rating: own.rating
+    });
+  }
+  return { name: profile.name, rating: profile.rating, games: profile.games, wins: profile.wins, createdAt: profile.createdAt, history };
+}
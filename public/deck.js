@@ -1,4 +1,28 @@
-export function createDeck(numDecks = 1) {
+// Seeded PRNG (mulberry32): the same seed always gives the same sequence, and so the same shuffle
+export function createRng(seed) {
+  // Fold the seed text into the 32-bit starting state (FNV-1a)
+  let state = 2166136261;
+  for (const ch of String(seed)) {
+    state ^= ch.codePointAt(0);
+    state = Math.imul(state, 16777619);
+  }
+  return function random() {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// A card's id: its rank and suit plus which deck it came from, so every card in a deal has its
+// own id even when several decks hold the same card (the ace of spades from deck 2 is "AS-2")
+export function makeCardId(card, deckNumber) {
+  return `${card.rank}${card.suit.charAt(0)}-${deckNumber}`;
+}
+
+// random is any function returning a number in [0, 1); pass createRng(seed) for a reproducible deck
+export function createDeck(numDecks = 1, random = Math.random) {
   const suits = ["Spades", "Diamonds", "Clubs", "Hearts"];
   const ranks = ["2", "3", "4", "5", "6", "7", "8", "9", "10", "J", "Q", "K", "A"];
   let deck = [];
@@ -6,16 +30,25 @@ export function createDeck(numDecks = 1) {
   for (let d = 0; d < numDecks; d++) {
     for (const suit of suits) {
       for (const rank of ranks) {
-        deck.push({ suit, rank });
+        deck.push({ id: makeCardId({ suit, rank }, d + 1), suit, rank });
       }
     }
   }
 
   // Fisher–Yates shuffle
   for (let i = deck.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
+    const j = Math.floor(random() * (i + 1));
     [deck[i], deck[j]] = [deck[j], deck[i]];
   }
 
   return deck;
 }
+
+// Card rank value used for comparing cards within a suit
+export function getCardValue(rank) {
+  const values = {
+    "2": 2, "3": 3, "4": 4, "5": 5, "6": 6, "7": 7, "8": 8, "9": 9, "10": 10,
+    "J": 11, "Q": 12, "K": 13, "A": 14
+  };
+  return values[rank] || 0;
+}
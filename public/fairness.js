@@ -0,0 +1,72 @@
+import { createDeck, createRng } from "./deck.js";
+
+// Client-side checks that the server dealt from the seeds it committed to.
+// Each round the server sends a SHA-256 commitment at roundStart and the seed itself at roundEnd;
+// at game over it reveals how the game seed was made from its own nonce, hashed in the lobby beforehand,
+// and the players' seeds.
+
+// Web Crypto only exists on secure pages (HTTPS or localhost)
+export function canVerify() {
+  return !!(globalThis.crypto && globalThis.crypto.subtle);
+}
+
+export async function sha256Hex(text) {
+  const bytes = new TextEncoder().encode(text);
+  const digest = await crypto.subtle.digest("SHA-256", bytes);
+  return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, "0")).join("");
+}
+
+// Random entropy this browser adds to the deal; nothing the server sees earlier can predict it
+export function randomClientSeed() {
+  const bytes = crypto.getRandomValues(new Uint8Array(16));
+  return Array.from(bytes, b => b.toString(16).padStart(2, "0")).join("");
+}
+
+const cardKey = (card) => `${card.rank}${card.suit}`;
+const sameCards = (a, b) => a.map(cardKey).sort().join() === b.map(cardKey).sort().join();
+
+// Problems found with one round's deal, empty when it checks out.
+// hand is the hand as first dealt, or null when it wasn't seen (spectators, a reconnect mid-round)
+export async function checkDeal({ commitment, deal, playerName, hand }) {
+  const problems = [];
+  if (await sha256Hex(deal.seed) !== commitment) {
+    problems.push("the revealed seed does not match the commitment sent when the round started");
+  }
+
+  const seat = deal.seats.indexOf(playerName);
+  if (seat !== -1 && hand) {
+    const deck = createDeck(deal.decks, createRng(deal.seed));
+    const expected = deck.slice(seat * deal.cardsThisRound, (seat + 1) * deal.cardsThisRound);
+    if (!sameCards(expected, hand)) {
+      problems.push("your hand is not the one this seed deals to your seat");
+    }
+  }
+  return problems;
+}
+
+// Problems with a finished game's seeds: every round seed must come from the game seed and the
+// round's deal number (a restarted round is dealt again under the next number),
+// and the game seed from the server's nonce and the players' seeds, including ours. The nonce
+// must match the hash the server published before the players' seeds were final, when we saw it
+export async function checkGame({ seed, nonce, nonceCommitment = null, clientSeeds, roundSeeds, mySeed }) {
+  const problems = [];
+  for (const [round, revealed] of Object.entries(roundSeeds)) {
+    if (await sha256Hex(`${seed}:${round}:${revealed.number}`) !== revealed.seed) {
+      problems.push(`round ${round} was not dealt from the game seed`);
+    }
+  }
+
+  // A game the host seeded has no nonce; its deals were fixed in advance on purpose
+  if (nonce) {
+    if ((await sha256Hex([nonce, ...clientSeeds].join(":"))).slice(0, 16) !== seed) {
+      problems.push("the game seed was not made from the revealed nonce and player seeds");
+    }
+    if (nonceCommitment && await sha256Hex(`commit:${nonce}`) !== nonceCommitment) {
+      problems.push("the nonce is not the one the server committed to before the game");
+    }
+    if (mySeed && !clientSeeds.includes(mySeed)) {
+      problems.push("your seed was left out of the game seed");
+    }
+  }
+  return problems;
+}
@@ -0,0 +1,34 @@
+// Markup helpers shared by the game, replay, leaderboard and player pages
+
+// Player names and anything else that didn't come from the page itself go through this before
+// landing in innerHTML
+export function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+// "?" stands in for a trump nobody has named yet; a suit we don't know is shown as given
+export function suitSymbol(suit) {
+  if (suit === "Spades") return "♠";
+  if (suit === "Diamonds") return "♦";
+  if (suit === "Clubs") return "♣";
+  if (suit === "Hearts") return "♥";
+  if (suit === "NoTrump") return "NT";
+  if (!suit) return "?";
+  return suit;
+}
+
+export function suitColor(suit) {
+  return (suit === "Diamonds" || suit === "Hearts") ? "#dc2626" : "#111827";
+}
+
+// A small card face for trick and hand lists. Replays can come from any file, so even the rank is escaped
+export function formatCardHTMLInline(card, extraClass = "") {
+  const sym = escapeHtml(suitSymbol(card.suit));
+  const color = suitColor(card.suit);
+  return `<div class="card-face-inline ${extraClass}"><span class="rank">${escapeHtml(card.rank)}</span><span class="suit" style="color:${color}">${sym}</span></div>`;
+}
@@ -0,0 +1,23 @@
+import { escapeHtml } from "./html.js";
+
+const body = document.getElementById("leaderboardBody");
+
+function render(players) {
+  if (players.length === 0) {
+    body.innerHTML = `<tr><td colspan="5">No rated games yet.</td></tr>`;
+    return;
+  }
+  body.innerHTML = players.map((player, i) => `
+    <tr>
+      <td>${i + 1}</td>
+      <td><a href="/player.html?name=${encodeURIComponent(player.name)}">${escapeHtml(player.name)}</a></td>
+      <td>${player.rating}</td>
+      <td>${player.games}</td>
+      <td>${player.wins}</td>
+    </tr>`).join("");
+}
+
+fetch("/api/leaderboard")
+  .then(res => res.json())
+  .then(({ players }) => render(players))
+  .catch(() => { body.innerHTML = `<tr><td colspan="5">The leaderboard could not be loaded.</td></tr>`; });
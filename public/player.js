@@ -0,0 +1,102 @@
+import { escapeHtml } from "./html.js";
+
+const title = document.getElementById("playerTitle");
+const summary = document.getElementById("playerSummary");
+const historyBody = document.getElementById("historyBody");
+
+function ratingCell(rating) {
+  if (!rating) return "—";
+  const change = rating.after - rating.before;
+  return `${rating.after} (${change >= 0 ? "+" : ""}${change})`;
+}
+
+function render(player) {
+  title.textContent = player.name;
+  summary.textContent = `Rating ${player.rating} · ${player.games} games · ${player.wins} wins · playing since ${new Date(player.createdAt).toLocaleDateString()}`;
+  if (player.history.length === 0) {
+    historyBody.innerHTML = `<tr><td colspan="7">No finished games yet.</td></tr>`;
+    return;
+  }
+  historyBody.innerHTML = player.history.map(game => `
+    <tr>
+      <td>${new Date(game.endedAt).toLocaleString()}</td>
+      <td>${escapeHtml(game.roomCode)}</td>
+      <td>${game.place} of ${game.players}</td>
+      <td>${game.score}</td>
+      <td>${ratingCell(game.rating)}</td>
+      <td>${game.opponents.map(escapeHtml).join(", ")}</td>
+      <td>${game.gameId ? `<a href="/replay.html?game=${game.gameId}">▶ Replay</a>` : ""}</td>
+    </tr>`).join("");
+}
+
+const percent = (value) => (value === null ? "—" : `${Math.round(value * 100)}%`);
+const decimal = (value) => (value === null ? "—" : value.toFixed(2));
+
+// Total score after each round, one line per game, newest games darkest
+function scoreCurvesSvg(curves) {
+  const shown = curves.slice(-10);
+  const points = shown.flatMap(curve => curve.totals);
+  if (points.length === 0) return "<p>No finished rounds yet.</p>";
+  const width = 600;
+  const height = 220;
+  const pad = 30;
+  const maxRound = Math.max(...points.map(p => p.round));
+  const minTotal = Math.min(0, ...points.map(p => p.total));
+  const maxTotal = Math.max(1, ...points.map(p => p.total));
+  const x = (round) => pad + ((round - 1) / Math.max(1, maxRound - 1)) * (width - 2 * pad);
+  const y = (total) => height - pad - ((total - minTotal) / (maxTotal - minTotal)) * (height - 2 * pad);
+
+  const lines = shown.map((curve, i) => {
+    const opacity = 0.3 + 0.7 * ((i + 1) / shown.length);
+    const path = curve.totals.map(p => `${x(p.round).toFixed(1)},${y(p.total).toFixed(1)}`).join(" ");
+    return `<polyline points="${path}" fill="none" stroke="#ffb703" stroke-width="2" stroke-opacity="${opacity.toFixed(2)}" />`;
+  }).join("");
+  return `<svg viewBox="0 0 ${width} ${height}" role="img" aria-label="Score after each round">
+    <line x1="${pad}" y1="${y(0)}" x2="${width - pad}" y2="${y(0)}" stroke="#888" stroke-dasharray="4" />
+    <text x="4" y="${y(maxTotal) + 4}" fill="#ccc" font-size="11">${maxTotal}</text>
+    <text x="4" y="${y(minTotal) + 4}" fill="#ccc" font-size="11">${minTotal}</text>
+    <text x="${width - pad}" y="${height - 8}" fill="#ccc" font-size="11" text-anchor="end">round ${maxRound}</text>
+    ${lines}
+  </svg>`;
+}
+
+function renderStats(stats) {
+  document.getElementById("statsPanel").classList.remove("hidden");
+  const facts = [
+    ["Exact bids", percent(stats.exactBidRate)],
+    ["Over-bids", percent(stats.overBidRate)],
+    ["Zero bids made", `${percent(stats.zeroBids.successRate)} of ${stats.zeroBids.bids}`],
+    ["Cards played that were trump", percent(stats.trump.trumpShare)],
+    ["Tricks won with trump", stats.trump.tricksWonWithTrump],
+    ["Tricks won when leading", `${percent(stats.leading.winRate)} of ${stats.leading.led}`]
+  ];
+  document.getElementById("statsSummary").innerHTML = facts
+    .map(([label, value]) => `<div class="stat"><span class="stat-value">${value}</span><span class="stat-label">${label}</span></div>`)
+    .join("");
+  document.getElementById("handSizeBody").innerHTML = stats.byHandSize.map(row => `
+    <tr>
+      <td>${row.cards}</td>
+      <td>${row.rounds}</td>
+      <td>${decimal(row.averageBid)}</td>
+      <td>${decimal(row.averageTricks)}</td>
+      <td>${percent(row.exactBidRate)}</td>
+    </tr>`).join("");
+  document.getElementById("scoreCurves").innerHTML = scoreCurvesSvg(stats.scoreCurves);
+}
+
+const name = new URLSearchParams(window.location.search).get("name");
+if (!name) {
+  summary.textContent = "No player chosen.";
+} else {
+  fetch(`/api/players/${encodeURIComponent(name)}`)
+    .then(res => res.ok ? res.json() : Promise.reject(new Error("not found")))
+    .then(render)
+    .catch(() => { summary.textContent = "That player could not be found."; });
+
+  const statsUrl = `/api/players/${encodeURIComponent(name)}/stats`;
+  document.getElementById("statsJson").href = statsUrl;
+  fetch(statsUrl)
+    .then(res => res.ok ? res.json() : Promise.reject(new Error("not found")))
+    .then(stats => { if (stats.rounds > 0) renderStats(stats); })
+    .catch(() => {});
+}
@@ -0,0 +1,160 @@
+import { escapeHtml, suitSymbol, suitColor, formatCardHTMLInline } from "./html.js";
+
+const replayFile = document.getElementById("replayFile");
+const replayLoader = document.getElementById("replayLoader");
+const replayDiv = document.getElementById("replay");
+const replayHeader = document.getElementById("replayHeader");
+const prevRoundBtn = document.getElementById("prevRoundBtn");
+const prevStepBtn = document.getElementById("prevStepBtn");
+const nextStepBtn = document.getElementById("nextStepBtn");
+const nextRoundBtn = document.getElementById("nextRoundBtn");
+
+let game = null;
+let steps = []; // One entry per screen: the deal, each trick, then the round results
+let stepIndex = 0;
+
+function buildSteps(log) {
+  const list = [];
+  log.rounds.forEach((round, roundIndex) => {
+    list.push({ roundIndex, trickIndex: -1 });
+    round.tricks.forEach((_, trickIndex) => list.push({ roundIndex, trickIndex }));
+    if (round.results) list.push({ roundIndex, trickIndex: round.tricks.length });
+  });
+  return list;
+}
+
+// Cards each player still held before the given trick was played
+function handsBeforeTrick(round, trickIndex) {
+  const hands = {};
+  Object.keys(round.hands).forEach(player => {
+    hands[player] = round.hands[player].slice();
+  });
+  round.tricks.slice(0, trickIndex).forEach(trick => {
+    trick.plays.forEach(({ player, card }) => {
+      const hand = hands[player] || [];
+      // With several decks a hand can hold two cards alike, so only the id says which one went
+      const i = hand.findIndex(c => c.id === card.id);
+      if (i !== -1) hand.splice(i, 1);
+    });
+  });
+  return hands;
+}
+
+function render() {
+  const { roundIndex, trickIndex } = steps[stepIndex];
+  const round = game.rounds[roundIndex];
+  const atResults = trickIndex >= round.tricks.length;
+  const trick = (trickIndex >= 0 && !atResults) ? round.tricks[trickIndex] : null;
+
+  let stage = "Deal";
+  if (trick) stage = `Trick ${trickIndex + 1} of ${round.tricks.length}`;
+  if (atResults) stage = "Results";
+  const trumpHtml = `<span style="color:${suitColor(round.trump)}">${escapeHtml(suitSymbol(round.trump))}</span>`;
+  replayHeader.innerHTML = `Round ${escapeHtml(round.round)} | Cards: ${escapeHtml(round.cardsThisRound)} | Trump: ${trumpHtml} | ${stage}${round.abandoned ? " (abandoned)" : ""}`
+    + (game.seed ? ` <small>Seed: ${escapeHtml(game.seed)}</small>` : "");
+
+  document.getElementById("replayPredictions").innerHTML = round.predictions
+    .map(({ player, prediction }) => `<p>${escapeHtml(player)}: ${escapeHtml(prediction)} tricks</p>`)
+    .join("");
+
+  // Tricks won up to and including the one on screen
+  const tricksWon = {};
+  Object.keys(round.hands).forEach(player => { tricksWon[player] = 0; });
+  const tricksSoFar = trick ? trickIndex + 1 : (atResults ? round.tricks.length : 0);
+  round.tricks.slice(0, tricksSoFar).forEach(t => { tricksWon[t.winner] = (tricksWon[t.winner] || 0) + 1; });
+  document.getElementById("replayTricksWon").innerHTML = Object.keys(tricksWon)
+    .map(player => `<p>${escapeHtml(player)}: ${tricksWon[player]}</p>`)
+    .join("");
+
+  document.getElementById("replayTrick").innerHTML = trick
+    ? trick.plays.map(({ player, card }) =>
+        `<div class="played-card">${escapeHtml(player)}: ${formatCardHTMLInline(card)}${player === trick.winner ? " 🏆" : ""}</div>`
+      ).join("")
+    : "";
+
+  // Every hand as it stood before this trick, with the card each player is about to play marked
+  const hands = handsBeforeTrick(round, trick ? trickIndex : tricksSoFar);
+  document.getElementById("replayHands").innerHTML = Object.keys(hands).map(player => {
+    const played = trick ? (trick.plays.find(p => p.player === player) || {}).card : null;
+    const cards = hands[player].map(card => {
+      const isPlayed = !!played && card.id === played.id;
+      return formatCardHTMLInline(card, isPlayed ? "replay-played" : "");
+    }).join(" ");
+    return `<div class="spectator-hand"><strong>${escapeHtml(player)}</strong>: ${cards || "—"}</div>`;
+  }).join("");
+
+  const resultsPanel = document.getElementById("replayResults");
+  resultsPanel.classList.toggle("hidden", !atResults);
+  if (atResults) {
+    document.getElementById("replayResultsBody").innerHTML = Object.keys(round.results).map(player => {
+      const r = round.results[player];
+      const delta = r.delta >= 0 ? "+" + r.delta : r.delta;
+      return `<p><strong>${escapeHtml(player)}</strong>: Predicted ${escapeHtml(r.predicted)}, Won ${escapeHtml(r.actual)} → ${escapeHtml(delta)} (total ${escapeHtml(r.total)})</p>`;
+    }).join("");
+  }
+
+  prevStepBtn.disabled = stepIndex === 0;
+  prevRoundBtn.disabled = stepIndex === 0;
+  nextStepBtn.disabled = stepIndex === steps.length - 1;
+  nextRoundBtn.disabled = stepIndex === steps.length - 1;
+}
+
+function goTo(index) {
+  stepIndex = Math.max(0, Math.min(steps.length - 1, index));
+  render();
+}
+
+// Jump to the deal of the previous or next round
+function goToRound(direction) {
+  const currentRound = steps[stepIndex].roundIndex;
+  let target = currentRound + direction;
+  if (direction < 0 && steps[stepIndex].trickIndex !== -1) target = currentRound;
+  const index = steps.findIndex(step => step.roundIndex === target && step.trickIndex === -1);
+  goTo(index === -1 ? (direction < 0 ? 0 : steps.length - 1) : index);
+}
+
+function loadGame(log) {
+  if (!log || !Array.isArray(log.rounds) || log.rounds.length === 0) {
+    alert("This file is not a recorded game.");
+    return;
+  }
+  game = log;
+  steps = buildSteps(log);
+  replayLoader.classList.add("hidden");
+  replayDiv.classList.remove("hidden");
+  goTo(0);
+}
+
+prevStepBtn.onclick = () => goTo(stepIndex - 1);
+nextStepBtn.onclick = () => goTo(stepIndex + 1);
+prevRoundBtn.onclick = () => goToRound(-1);
+nextRoundBtn.onclick = () => goToRound(1);
+
+document.addEventListener("keydown", (e) => {
+  if (!game) return;
+  if (e.key === "ArrowLeft") goTo(stepIndex - 1);
+  if (e.key === "ArrowRight") goTo(stepIndex + 1);
+});
+
+replayFile.onchange = () => {
+  const file = replayFile.files[0];
+  if (!file) return;
+  const reader = new FileReader();
+  reader.onload = () => {
+    try {
+      loadGame(JSON.parse(reader.result));
+    } catch (_) {
+      alert("Could not read this game log.");
+    }
+  };
+  reader.readAsText(file);
+};
+
+// Replay links from the game page carry the game id
+const gameId = new URLSearchParams(window.location.search).get("game");
+if (gameId) {
+  fetch(`/api/games/${encodeURIComponent(gameId)}`)
+    .then(res => res.ok ? res.json() : Promise.reject(new Error("not found")))
+    .then(loadGame)
+    .catch(() => alert("That game could not be found."));
+}
@@ -1,9 +1,36 @@
+import { canVerify, checkDeal, checkGame, randomClientSeed } from "./fairness.js";
+import { escapeHtml, suitSymbol, suitColor, formatCardHTMLInline } from "./html.js";
+
 const socket = io();
 const playerNameInput = document.getElementById("playerName");
 const roomCodeInput = document.getElementById("roomCode");
 const deckCountSelect = document.getElementById("deckCount");
 const maxRoundCardsSelect = document.getElementById("maxRoundCards");
 const minRoundCardsSelect = document.getElementById("minRoundCards");
+const reconnectGraceSelect = document.getElementById("reconnectGrace");
+const botTakeoverSelect = document.getElementById("botTakeover");
+const turnSecondsSelect = document.getElementById("turnSeconds");
+const awayAfterSelect = document.getElementById("awayAfterTimeouts");
+const imBackBtn = document.getElementById("imBackBtn");
+const watchRoomBtn = document.getElementById("watchRoomBtn");
+const spectatorHandsDelaySelect = document.getElementById("spectatorHandsDelay");
+const scoringPresetSelect = document.getElementById("scoringPreset");
+const customScoringDiv = document.getElementById("customScoring");
+const trumpModeSelect = document.getElementById("trumpMode");
+const scheduleTypeSelect = document.getElementById("scheduleType");
+const maxRoundRepeatsSelect = document.getElementById("maxRoundRepeats");
+const customScheduleDiv = document.getElementById("customSchedule");
+const roomVisibilitySelect = document.getElementById("roomVisibility");
+const publicRoomList = document.getElementById("publicRoomList");
+const chatPanel = document.getElementById("chatPanel");
+const chatMessages = document.getElementById("chatMessages");
+const chatInput = document.getElementById("chatInput");
+const chatSendBtn = document.getElementById("chatSendBtn");
+const customTrumpDiv = document.getElementById("customTrump");
+const spectatorsList = document.getElementById("spectators");
+const botControls = document.getElementById("botControls");
+const botDifficultySelect = document.getElementById("botDifficulty");
+const addBotBtn = document.getElementById("addBotBtn");
 const createRoomBtn = document.getElementById("createRoomBtn");
 const joinRoomBtn = document.getElementById("joinRoomBtn");
 const startGameBtn = document.getElementById("startGameBtn");
@@ -13,6 +40,8 @@ const playersList = document.getElementById("players");
 const gameDiv = document.getElementById("game");
 const roundInfo = document.getElementById("roundInfo");
 const handDiv = document.getElementById("hand");
+const playModeSelect = document.getElementById("playMode");
+const playSelectedBtn = document.getElementById("playSelectedBtn");
 
 // Delegate clicks for cards to a single handler to reduce listeners
 let handClickBound = false;
@@ -22,9 +51,9 @@ function ensureHandClickHandler() {
   handDiv.addEventListener("click", (e) => {
     const cardEl = e.target.closest(".card");
     if (!cardEl || !handDiv.contains(cardEl)) return;
-    const idx = parseInt(cardEl.getAttribute("data-index"), 10);
-    if (!Number.isNaN(idx)) {
-      playCard(idx);
+    const id = cardEl.getAttribute("data-id");
+    if (id) {
+      chooseCard(id);
     }
   }, { passive: true });
 }
@@ -43,27 +72,84 @@ let previousTotals = {};
 let currentTurnPlayerName = null;
 let currentPlayOrder = [];
 let latestPredictions = null;
+let gamePaused = false; // true while the server holds a disconnected player's seat
+let hostPaused = false; // true while the host has paused the game
+let lastPlayerList = null; // Latest playerList payload, for redrawing host controls
+let turnCountdown = null; // { playerName, endsAt } while a turn clock is running
+let isSpectator = false;
+let currentTournament = null; // Code of the tournament we entered, if any
+let currentMatch = null; // Match standings shown between games; null while a game is on
+let shownSettings = null; // The room settings last put into the host's settings form, as JSON
+let legalCards = null; // Ids of the cards the server lets us play this turn; null when it isn't our turn
+let selectedCard = null; // Id of the card picked but not played yet, with keys or in the two-step play modes
+
+// How a card gets played is a per-browser preference, like the profile
+const PLAY_MODE_KEY = "judgmentPlayMode";
+try { playModeSelect.value = localStorage.getItem(PLAY_MODE_KEY) || "click"; } catch (_) {}
+
+// Seat token kept across refreshes so the server can hand our seat back
+const SESSION_KEY = "judgmentSession";
+
+function saveSession(session) {
+  try { localStorage.setItem(SESSION_KEY, JSON.stringify(session)); } catch (_) {}
+}
+
+function loadSession() {
+  try { return JSON.parse(localStorage.getItem(SESSION_KEY)); } catch (_) { return null; }
+}
+
+function clearSession() {
+  try { localStorage.removeItem(SESSION_KEY); } catch (_) {}
+}
+
+// The secret that proves this browser owns its profile name; made once and kept for good
+const PROFILE_KEY = "judgmentProfile";
+
+function profileSecret() {
+  if (!document.getElementById("saveProfile").checked) return null;
+  try {
+    let profile = JSON.parse(localStorage.getItem(PROFILE_KEY));
+    if (!profile || !profile.secret) {
+      profile = { secret: randomClientSeed() + randomClientSeed() };
+      localStorage.setItem(PROFILE_KEY, JSON.stringify(profile));
+    }
+    return profile.secret;
+  } catch (_) {
+    return null;
+  }
+}
+
+// The stats page follows whatever name is typed in
+playerNameInput.addEventListener("input", () => {
+  const name = playerNameInput.value.trim();
+  document.getElementById("myStatsLink").href = name ? `/player.html?name=${encodeURIComponent(name)}` : "/leaderboard.html";
+});
+
+// Our share of the deal entropy; kept with the session so a refresh doesn't make the game check fail
+let clientSeed = (loadSession() || {}).clientSeed || randomClientSeed();
+let dealCommitment = null; // roundStart's hash of the seed revealed at roundEnd
+let dealtHand = null; // Our hand as dealt, before any card was played
+let revealedSeeds = {}; // round -> { seed, number } of the deal revealed this game
+let withheldDeals = {}; // round -> { commitment, hand } of tournament rounds whose seed comes after every table is done
+let nextNonceCommitment = null; // Latest hash of the server's nonce for the next game
+// The nonce hash we saw before this game's seeds were fixed; false when we arrived mid-game and never saw it
+let gameNonceCommitment = null;
 
 function renderScoreHeader() {
   const header = document.getElementById("scoreHeader");
   if (!header) return;
   const cols = ["Round", ...playersInRoom];
-  header.innerHTML = `<tr>${cols.map(c => `<th>${c}</th>`).join("")}</tr>`;
+  header.innerHTML = `<tr>${cols.map(c => `<th>${escapeHtml(c)}</th>`).join("")}</tr>`;
 }
 
 function resetScoreboardIfNeeded(round) {
   if (round !== 1) return;
   const body = document.getElementById("scoreBody");
-  const totalsDiv = document.getElementById("scoreTotals");
-  // Clear per-round rows for a clean view of the new cycle, but keep running totals
   if (body) body.innerHTML = "";
-  // Only initialize totals to zero if we have no prior totals (first-ever game)
-  if (!previousTotals || Object.keys(previousTotals).length === 0) {
-    previousTotals = {};
-    playersInRoom.forEach(p => { previousTotals[p] = 0; });
-  }
+  // Every game starts from zero on the server, so the last game's totals would skew the first round's deltas
+  previousTotals = {};
+  playersInRoom.forEach(p => { previousTotals[p] = 0; });
   renderScoreHeader();
-  // Do not clear totalsDiv; re-render using existing totals so scores continue
   updateScoreTotals(previousTotals);
 }
 
@@ -74,10 +160,34 @@ function updateScoreTotals(currentTotals) {
     const isCurrent = (p === currentTurnPlayerName);
     const cls = `score-pill${isCurrent ? ' current-turn' : ''}`;
     const score = currentTotals[p] ?? 0;
-    return `<div class="${cls}" data-player="${p}"><span class="pill-name">${p}</span><span class="pill-score">${score}</span></div>`;
+    const timer = (turnCountdown && turnCountdown.playerName === p) ? '<span class="pill-timer"></span>' : '';
+    return `<div class="${cls}" data-player="${escapeHtml(p)}"><span class="pill-name">${escapeHtml(p)}</span>${timer}<span class="pill-score">${score}</span></div>`;
   }).join("");
+  renderTurnCountdown();
+}
+
+// Show the seconds left on the current turn next to that player's score pill
+function renderTurnCountdown() {
+  const timerEl = document.querySelector("#scoreTotals .pill-timer");
+  if (!timerEl || !turnCountdown) return;
+  const secondsLeft = Math.max(0, Math.ceil((turnCountdown.endsAt - Date.now()) / 1000));
+  timerEl.textContent = `⏱ ${secondsLeft}s`;
+  timerEl.classList.toggle("urgent", secondsLeft <= 5);
+}
+
+function startTurnCountdown(playerName, seconds) {
+  turnCountdown = { playerName, endsAt: Date.now() + seconds * 1000 };
+  updateScoreTotals(previousTotals || {});
 }
 
+function stopTurnCountdown() {
+  if (!turnCountdown) return;
+  turnCountdown = null;
+  updateScoreTotals(previousTotals || {});
+}
+
+setInterval(renderTurnCountdown, 1000);
+
 function refreshTurnHighlight() {
   updateScoreTotals(previousTotals || {});
   if (latestPredictions) {
@@ -85,6 +195,10 @@ function refreshTurnHighlight() {
   }
 }
 
+function roundRowHtml(round, deltas) {
+  return `<tr><td>${round}</td>${deltas.map(d => `<td>${d >= 0 ? '+' + d : d}</td>`).join("")}</tr>`;
+}
+
 function appendRoundRow(round, currentTotals) {
   const body = document.getElementById("scoreBody");
   if (!body) return;
@@ -99,24 +213,11 @@ function appendRoundRow(round, currentTotals) {
     renderScoreHeader();
   }
   const deltas = playersInRoom.map(p => (currentTotals[p] ?? 0) - (previousTotals[p] ?? 0));
-  const rowHtml = `<tr><td>${round}</td>${deltas.map(d => `<td>${d >= 0 ? '+' + d : d}</td>`).join("")}</tr>`;
-  body.insertAdjacentHTML("beforeend", rowHtml);
+  body.insertAdjacentHTML("beforeend", roundRowHtml(round, deltas));
   // Update previous totals snapshot
   playersInRoom.forEach(p => { previousTotals[p] = currentTotals[p] ?? 0; });
 }
 
-function suitSymbol(suit) {
-  if (suit === "Spades") return "♠";
-  if (suit === "Diamonds") return "♦";
-  if (suit === "Clubs") return "♣";
-  if (suit === "Hearts") return "♥";
-  return suit;
-}
-
-function suitColor(suit) {
-  return (suit === "Diamonds" || suit === "Hearts") ? "#dc2626" : "#111827";
-}
-
 function formatCardHTML(card) {
   const sym = suitSymbol(card.suit);
   const color = suitColor(card.suit);
@@ -130,37 +231,103 @@ function formatCardText(card) {
   return `${card.rank} ${suitSymbol(card.suit)}`;
 }
 
-function formatCardHTMLInline(card) {
-  const sym = suitSymbol(card.suit);
-  const color = suitColor(card.suit);
-  return `<div class="card-face-inline"><span class="rank">${card.rank}</span><span class="suit" style="color:${color}">${sym}</span></div>`;
-}
-
 // Track current round header data to re-render with optional lead suit
 let currentRound = 0;
 let currentCardsThisRound = 0;
 let currentTrump = "";
-let currentAscending = true;
+let currentSchedule = [];
+
+// How the round's trump reads in messages; null means the highest bidder hasn't named it yet
+function trumpName(trump) {
+  if (trump === null) return "named after bidding";
+  if (trump === "NoTrump") return "No Trump";
+  return trump;
+}
+
+function describeTrumpMode(config) {
+  const mode = config.trumpMode || "rotation";
+  if (mode === "rotationNoTrump") return "♠ ♦ ♣ ♥ then No Trump, in turn";
+  if (mode === "custom") return `${config.trumpOrder.map(suitSymbol).join(" ")}, in turn`;
+  if (mode === "random") return "Random suit each round";
+  if (mode === "turnUp") return "Next card turned up from the deck";
+  if (mode === "bidder") return "Named by the highest bidder";
+  return "♠ ♦ ♣ ♥, in turn";
+}
+
+function renderScheduleStrip() {
+  document.getElementById("scheduleStrip").innerHTML = formatSchedule(currentSchedule, currentRound);
+}
 
 function renderRoundHeader(leadSuit = null) {
-  const trumpSym = suitSymbol(currentTrump);
+  const trumpSym = currentTrump === null ? "?" : suitSymbol(currentTrump);
   const trumpColor = suitColor(currentTrump);
   const leadHtml = leadSuit ? ` | Lead: <span style="color:${suitColor(leadSuit)}">${suitSymbol(leadSuit)}</span>` : "";
-  roundInfo.innerHTML = `Round ${currentRound} | Cards: ${currentCardsThisRound} | Trump: <span style="color:${trumpColor}">${trumpSym}</span> | ${currentAscending ? "Ascending" : "Descending"}${leadHtml}`;
+  const nextCards = currentSchedule[currentRound];
+  const nextHtml = nextCards === undefined ? "Final round" : `Next: ${nextCards} cards`;
+  roundInfo.innerHTML = `Round ${currentRound} of ${currentSchedule.length} | Cards: ${currentCardsThisRound} | Trump: <span style="color:${trumpColor}">${trumpSym}</span> | ${nextHtml}${leadHtml}`;
 }
 
-createRoomBtn.onclick = () => {
-  const playerName = playerNameInput.value.trim();
-  if (!playerName) {
-    alert("Please enter your name!");
-    return;
-  }
-  myName = playerName;
-  roomCode = roomCodeInput.value.trim() || Math.random().toString(36).substring(2, 6).toUpperCase();
+scoringPresetSelect.onchange = () => {
+  customScoringDiv.classList.toggle("hidden", scoringPresetSelect.value !== "custom");
+};
+
+scheduleTypeSelect.onchange = () => {
+  const custom = scheduleTypeSelect.value === "custom";
+  customScheduleDiv.classList.toggle("hidden", !custom);
+  maxRoundRepeatsSelect.disabled = custom;
+};
+
+// The rounds of the schedule as "1 → 2 → 3", with the round in progress highlighted
+function formatSchedule(schedule, currentRound = null) {
+  return schedule
+    .map((cards, i) => i + 1 === currentRound ? `<strong class="schedule-current">${cards}</strong>` : `${cards}`)
+    .join(" → ");
+}
+
+trumpModeSelect.onchange = () => {
+  customTrumpDiv.classList.toggle("hidden", trumpModeSelect.value !== "custom");
+};
+
+// Read "S, H, NT" style input as suit names; null if any entry isn't a suit or NT
+function parseTrumpOrder(text) {
+  const names = { S: "Spades", D: "Diamonds", C: "Clubs", H: "Hearts", NT: "NoTrump", NOTRUMP: "NoTrump" };
+  const order = text.split(",").map(entry => {
+    const key = entry.trim().toUpperCase().replace(/\s+/g, "");
+    return names[key] || Object.values(names).find(name => name.toUpperCase() === key) || null;
+  });
+  return order.includes(null) ? null : order;
+}
+
+// Preset name, plus the formulas when the host writes their own
+function scoringChoice() {
+  const preset = scoringPresetSelect.value;
+  if (preset !== "custom") return { preset };
+  return {
+    preset,
+    hit: document.getElementById("scoringHit").value,
+    miss: document.getElementById("scoringMiss").value,
+    zeroBonus: document.getElementById("scoringZeroBonus").value
+  };
+}
 
+// The game settings from the setup form, or null after telling the player what's wrong
+function collectRoomSettings() {
   const number_of_decks = parseInt(deckCountSelect.value);
-  const max_round_cards = parseInt(maxRoundCardsSelect.value);
-  const min_round_cards = parseInt(minRoundCardsSelect.value);
+  const schedule_type = scheduleTypeSelect.value;
+  let custom_rounds = null;
+  let max_round_cards = parseInt(maxRoundCardsSelect.value);
+  let min_round_cards = parseInt(minRoundCardsSelect.value);
+  if (schedule_type === "custom") {
+    custom_rounds = document.getElementById("customRounds").value.split(",").map(entry => Number(entry.trim()));
+    if (custom_rounds.some(cards => !Number.isInteger(cards) || cards < 1)) {
+      alert("The custom schedule must be a comma-separated list of card counts, each at least 1.");
+      return null;
+    }
+    // The largest round decides how many players fit
+    max_round_cards = Math.max(...custom_rounds);
+    min_round_cards = Math.min(...custom_rounds);
+  }
+  const reconnect_grace_seconds = parseInt(reconnectGraceSelect.value);
 
   // Validate the game configuration
   const maxPossibleCards = number_of_decks * 52;
@@ -168,25 +335,143 @@ createRoomBtn.onclick = () => {
   
   if (min_round_cards < 1) {
     alert("Minimum cards per round must be at least 1.");
-    return;
+    return null;
   }
   if (min_round_cards > max_round_cards) {
     alert("Minimum cards per round cannot exceed maximum cards per round.");
-    return;
+    return null;
   }
   
   if (maxPlayersAllowed < 2) {
     alert("Invalid configuration: Not enough cards for minimum 2 players. Please adjust deck count or max cards per round.");
+    return null;
+  }
+  const chosenPlayers = parseInt(document.getElementById("maxPlayers").value);
+  if (chosenPlayers > maxPlayersAllowed) {
+    alert(`With ${max_round_cards} cards each, ${number_of_decks} deck${number_of_decks === 1 ? "" : "s"} only go round ${maxPlayersAllowed} players.`);
+    return null;
+  }
+
+  const trump_mode = trumpModeSelect.value;
+  const trump_order = trump_mode === "custom" ? parseTrumpOrder(document.getElementById("trumpOrder").value) : null;
+  if (trump_mode === "custom" && !trump_order) {
+    alert("Custom trump order may only contain S, H, D, C or NT, separated by commas.");
+    return null;
+  }
+
+  return {
+    maxPlayers: chosenPlayers || Math.min(10, maxPlayersAllowed),
+    number_of_decks,
+    max_round_cards,
+    min_round_cards,
+    reconnect_grace_seconds,
+    bot_takeover: botTakeoverSelect.value === "bot",
+    turn_seconds: parseInt(turnSecondsSelect.value),
+    away_after_timeouts: parseInt(awayAfterSelect.value),
+    spectator_hands_delay: spectatorHandsDelaySelect.value === "" ? null : parseInt(spectatorHandsDelaySelect.value),
+    scoring: scoringChoice(),
+    trump_mode,
+    trump_order,
+    schedule_type,
+    max_round_repeats: parseInt(maxRoundRepeatsSelect.value),
+    custom_rounds
+  };
+}
+
+// The settings a room's host picks, at creation and in the lobby: the game settings plus
+// how long a match is, whether the room is listed and the seed for the next game
+function collectHostSettings() {
+  const settings = collectRoomSettings();
+  if (!settings) return null;
+  return {
+    ...settings,
+    is_public: roomVisibilitySelect.value === "public",
+    match_games: parseInt(document.getElementById("matchGames").value),
+    seed: document.getElementById("dealSeed").value.trim() || null
+  };
+}
+
+// Put a room's settings into the form, so the host starts from what is in force
+function fillSettingsForm(config) {
+  const abbreviations = { Spades: "S", Hearts: "H", Diamonds: "D", Clubs: "C", NoTrump: "NT" };
+  deckCountSelect.value = config.decks;
+  maxRoundCardsSelect.value = config.maxCards;
+  minRoundCardsSelect.value = config.minCards;
+  document.getElementById("maxPlayers").value = config.maxPlayers;
+  scheduleTypeSelect.value = config.scheduleType;
+  maxRoundRepeatsSelect.value = config.maxRoundRepeats || 1;
+  if (config.scheduleType === "custom") document.getElementById("customRounds").value = config.roundSchedule.join(", ");
+  scoringPresetSelect.value = config.scoring.preset;
+  document.getElementById("scoringHit").value = config.scoring.hit;
+  document.getElementById("scoringMiss").value = config.scoring.miss;
+  document.getElementById("scoringZeroBonus").value = config.scoring.zeroBonus;
+  trumpModeSelect.value = config.trumpMode;
+  if (config.trumpOrder) document.getElementById("trumpOrder").value = config.trumpOrder.map(suit => abbreviations[suit]).join(", ");
+  document.getElementById("matchGames").value = config.matchGames || 1;
+  reconnectGraceSelect.value = config.reconnectGrace;
+  botTakeoverSelect.value = config.botTakeover ? "bot" : "remove";
+  turnSecondsSelect.value = config.turnSeconds;
+  awayAfterSelect.value = config.awayAfterTimeouts;
+  spectatorHandsDelaySelect.value = config.spectatorHandsDelay === null ? "" : config.spectatorHandsDelay;
+  roomVisibilitySelect.value = config.isPublic ? "public" : "private";
+  scoringPresetSelect.onchange();
+  scheduleTypeSelect.onchange();
+  trumpModeSelect.onchange();
+}
+
+// In the lobby the host gets the settings form in place of the read-only summary
+function renderSettingsEditor(config, isHost) {
+  const form = document.getElementById("roomSettingsForm");
+  const editor = document.getElementById("lobbySettings");
+  const editing = isHost && !isSpectator && !currentTournament && !!config;
+  document.getElementById("gameConfig").classList.toggle("hidden", editing);
+  editor.classList.toggle("hidden", !editing);
+  if (!editing) {
+    restoreSettingsForm();
+    return;
+  }
+  if (form.parentElement !== editor) {
+    editor.insertBefore(form, document.getElementById("saveSettingsBtn"));
+    shownSettings = null;
+  }
+  // Only a change on the server refills the form, so other lobby updates don't undo the host's edits
+  const settings = JSON.stringify(config);
+  if (settings !== shownSettings) {
+    fillSettingsForm(config);
+    shownSettings = settings;
+  }
+}
+
+// Put the settings form back on the setup screen
+function restoreSettingsForm() {
+  const form = document.getElementById("roomSettingsForm");
+  if (form.parentElement === setup) return;
+  setup.insertBefore(form, document.querySelector(".profile-option"));
+  shownSettings = null;
+}
+
+document.getElementById("saveSettingsBtn").onclick = () => {
+  const settings = collectHostSettings();
+  if (settings) socket.emit("updateRoomSettings", { roomCode, ...settings });
+};
+
+createRoomBtn.onclick = () => {
+  const playerName = playerNameInput.value.trim();
+  if (!playerName) {
+    alert("Please enter your name!");
     return;
   }
+  myName = playerName;
+  roomCode = roomCodeInput.value.trim() || Math.random().toString(36).substring(2, 6).toUpperCase();
 
+  const settings = collectHostSettings();
+  if (!settings) return;
   socket.emit("createRoom", {
     roomCode,
     playerName,
-    maxPlayers: Math.min(10, maxPlayersAllowed),
-    number_of_decks,
-    max_round_cards,
-    min_round_cards
+    ...settings,
+    client_seed: clientSeed,
+    profile_secret: profileSecret()
   });
 };
 
@@ -204,14 +489,241 @@ joinRoomBtn.onclick = () => {
     return;
   }
   
-  socket.emit("joinRoom", { roomCode, playerName });
+  socket.emit("joinRoom", { roomCode, playerName, client_seed: clientSeed, profile_secret: profileSecret() });
 };
 
+watchRoomBtn.onclick = () => {
+  const spectatorName = playerNameInput.value.trim();
+  roomCode = roomCodeInput.value.trim();
+
+  if (!spectatorName) {
+    alert("Please enter your name!");
+    return;
+  }
+  if (!roomCode) {
+    alert("Please enter a room code!");
+    return;
+  }
+
+  myName = spectatorName;
+  socket.emit("joinAsSpectator", { roomCode, spectatorName });
+};
+
+// List the public rooms with one-click join and watch buttons
+function renderPublicRooms(list) {
+  publicRoomList.innerHTML = "";
+  if (list.length === 0) {
+    const empty = document.createElement("li");
+    empty.textContent = "No public rooms right now.";
+    publicRoomList.appendChild(empty);
+    return;
+  }
+
+  list.forEach(room => {
+    const li = document.createElement("li");
+    const status = room.state === "waiting" ? "in lobby" : "playing";
+    li.textContent = `${room.roomCode} — ${room.host || "?"}'s room, ${room.players}/${room.maxPlayers} players, ${status}${room.locked ? " 🔒" : ""}`;
+
+    const canJoin = room.state === "waiting" && room.players < room.maxPlayers && !room.locked;
+    if (canJoin) {
+      const joinBtn = document.createElement("button");
+      joinBtn.className = "bot-remove-btn";
+      joinBtn.textContent = "Join";
+      joinBtn.onclick = () => {
+        roomCodeInput.value = room.roomCode;
+        joinRoomBtn.onclick();
+      };
+      li.appendChild(joinBtn);
+    }
+    if (!room.locked) {
+      const watchBtn = document.createElement("button");
+      watchBtn.className = "bot-remove-btn";
+      watchBtn.textContent = "Watch";
+      watchBtn.onclick = () => {
+        roomCodeInput.value = room.roomCode;
+        watchRoomBtn.onclick();
+      };
+      li.appendChild(watchBtn);
+    }
+    publicRoomList.appendChild(li);
+  });
+}
+
+// Poll the room list while the start screen is showing
+function refreshPublicRooms() {
+  if (setup.classList.contains("hidden") || document.visibilityState !== "visible") return;
+  fetch("/api/rooms")
+    .then(res => res.json())
+    .then(({ rooms }) => renderPublicRooms(rooms))
+    .catch(() => {});
+}
+
+refreshPublicRooms();
+setInterval(refreshPublicRooms, 5000);
+
+// Tournaments use the same game settings as a room, plus how many tables, seats and games
+document.getElementById("createTournamentBtn").onclick = () => {
+  const playerName = playerNameInput.value.trim();
+  const tournamentCode = document.getElementById("tournamentCode").value.trim() || Math.random().toString(36).substring(2, 6).toUpperCase();
+  if (!playerName) {
+    alert("Please enter your name!");
+    return;
+  }
+  const settings = collectRoomSettings();
+  if (!settings) return;
+  myName = playerName;
+  socket.emit("createTournament", {
+    tournamentCode,
+    playerName,
+    ...settings,
+    tables: parseInt(document.getElementById("tournamentTables").value),
+    seats_per_table: parseInt(document.getElementById("tournamentSeats").value),
+    games: parseInt(document.getElementById("tournamentGames").value),
+    profile_secret: profileSecret()
+  });
+};
+
+document.getElementById("joinTournamentBtn").onclick = () => {
+  const playerName = playerNameInput.value.trim();
+  const tournamentCode = document.getElementById("tournamentCode").value.trim();
+  if (!playerName || !tournamentCode) {
+    alert("Please enter your name and the tournament code!");
+    return;
+  }
+  myName = playerName;
+  socket.emit("joinTournament", { tournamentCode, playerName, profile_secret: profileSecret() });
+};
+
+document.getElementById("startTournamentBtn").onclick = () => {
+  socket.emit("startTournament", { tournamentCode: currentTournament });
+};
+
+socket.on("tournamentJoined", ({ tournamentCode }) => {
+  currentTournament = tournamentCode;
+  setup.classList.add("hidden");
+  document.getElementById("tournamentPanel").classList.remove("hidden");
+});
+
+function describeTournamentState(data) {
+  const needed = data.tables * data.seatsPerTable;
+  if (data.state === "waiting") return `Waiting for players: ${data.entrants.length} of ${needed}`;
+  if (data.state === "playing") return `Game ${data.game} of ${data.games} in progress`;
+  if (data.state === "between") return `Game ${data.game} of ${data.games} starts shortly; you may move to a new table`;
+  return "Tournament finished";
+}
+
+function renderTournament(data) {
+  document.getElementById("tournamentTitle").textContent =
+    `Tournament ${data.code}: ${data.tables} tables of ${data.seatsPerTable}, ${data.games} game${data.games === 1 ? "" : "s"}`;
+  document.getElementById("tournamentStatus").textContent = describeTournamentState(data);
+
+  const waiting = data.state === "waiting";
+  document.getElementById("tournamentEntrants").innerHTML = waiting
+    ? data.entrants.map(name => `<li>${escapeHtml(name)}${name === data.director ? " (director)" : ""}</li>`).join("")
+    : "";
+  document.getElementById("startTournamentBtn").classList.toggle("hidden", !waiting || data.director !== myName);
+
+  document.getElementById("tournamentSeating").innerHTML = data.seating
+    .map((table, i) => `<p>Table ${i + 1}: ${table.seats.map(name => escapeHtml(name)).join(", ")}</p>`)
+    .join("");
+
+  const standings = document.getElementById("tournamentStandings");
+  standings.innerHTML = data.finishedGames.length === 0 ? "" : `
+    <thead><tr><th>#</th><th>Player</th><th>Matchpoints</th><th>Total Score</th><th>Games</th></tr></thead>
+    <tbody>${data.standings.map((row, i) => `
+      <tr><td>${i + 1}</td><td>${escapeHtml(row.name)}</td><td>${row.matchpoints}</td><td>${row.totalScore}</td><td>${row.games}</td></tr>`).join("")}
+    </tbody>`;
+
+  // The same seat at every table held the same cards, so these rows are like-for-like
+  document.getElementById("tournamentBoards").innerHTML = data.boards.map(board => {
+    const entries = board.entries
+      .map(e => `${escapeHtml(e.player)} ${e.score} (${e.matchpoints} MP, table ${e.table})`)
+      .join(" · ");
+    return `<p><strong>Game ${board.game}, seat ${board.seat}:</strong> ${entries}</p>`;
+  }).join("");
+
+  document.getElementById("tournamentResults").innerHTML = data.finishedGames.map(game => {
+    const replays = game.tables
+      .filter(table => table.gameId)
+      .map(table => `<a href="/replay.html?game=${table.gameId}" target="_blank" rel="noopener">▶ Table ${table.table}</a>`)
+      .join(" ");
+    return `<li class="game-log-links">Game ${game.game} (seed <code>${escapeHtml(game.seed)}</code>): ${replays}</li>`;
+  }).join("");
+}
+
+socket.on("tournamentUpdate", renderTournament);
+
+socket.on("tournamentClosed", ({ message }) => {
+  currentTournament = null;
+  document.getElementById("tournamentPanel").classList.add("hidden");
+  leaveRoomView();
+  alert(message);
+});
+
 startGameBtn.onclick = () => {
   socket.emit("startGame", { roomCode });
 };
 
+imBackBtn.onclick = () => {
+  socket.emit("imBack", { roomCode });
+};
+
+addBotBtn.onclick = () => {
+  socket.emit("addBot", { roomCode, difficulty: botDifficultySelect.value });
+};
+
+// Chat lines are built with textContent, so nothing a player types is parsed as HTML
+function appendChatMessage({ playerName, spectator, text }) {
+  const line = document.createElement("div");
+  line.className = "chat-line";
+  const name = document.createElement("strong");
+  name.textContent = `${playerName}${spectator ? " 👀" : ""}: `;
+  line.appendChild(name);
+  line.appendChild(document.createTextNode(text));
+  chatMessages.appendChild(line);
+  chatMessages.scrollTop = chatMessages.scrollHeight;
+}
+
+function renderChat(history) {
+  chatMessages.innerHTML = "";
+  history.forEach(appendChatMessage);
+}
+
+function sendChat() {
+  const text = chatInput.value.trim();
+  if (!text) return;
+  socket.emit("chatMessage", { roomCode, text });
+  chatInput.value = "";
+}
+
+chatSendBtn.onclick = sendChat;
+chatInput.addEventListener("keydown", (e) => {
+  if (e.key === "Enter") sendChat();
+});
+
+document.querySelectorAll(".reaction-buttons button").forEach(button => {
+  button.onclick = () => socket.emit("sendReaction", { roomCode, reaction: button.dataset.reaction });
+});
+
+socket.on("chatMessage", appendChatMessage);
+socket.on("chatHistory", renderChat);
+
+// Reactions float up over the trick area; in the lobby they just go in the chat
+socket.on("reaction", ({ playerName, text }) => {
+  if (gameDiv.classList.contains("hidden")) {
+    appendChatMessage({ playerName, spectator: false, text });
+    return;
+  }
+  const bubble = document.createElement("div");
+  bubble.className = "reaction-float";
+  bubble.style.left = `${10 + Math.random() * 60}%`;
+  bubble.textContent = `${playerName}: ${text}`;
+  document.getElementById("reactionLayer").appendChild(bubble);
+  setTimeout(() => bubble.remove(), 2500);
+});
+
 socket.on("roomCreated", (code) => {
+  renderChat([]);
   setup.classList.add("hidden");
   lobby.classList.remove("hidden");
   startGameBtn.classList.remove("hidden");
@@ -220,18 +732,297 @@ socket.on("roomCreated", (code) => {
   console.log("Room created:", code);
 });
 
-socket.on("playerList", (data) => {
+socket.on("connect", () => {
+  // Reclaim our seat after a refresh or a dropped connection
+  const session = loadSession();
+  if (session && session.roomCode && session.token) {
+    socket.emit("resumeSession", session);
+  }
+});
+
+socket.on("sessionToken", ({ roomCode: code, token }) => {
+  saveSession({ roomCode: code, token, clientSeed });
+});
+
+socket.on("sessionExpired", () => {
+  clearSession();
+});
+
+// Why the player can't act right now, or null
+function pausedMessage() {
+  if (hostPaused) return "The host has paused the game.";
+  if (gamePaused) return "Game is paused while a player reconnects.";
+  return null;
+}
+
+// Lock, pause, kick and hand-over buttons, only shown to the host
+function renderHostControls() {
+  const panel = document.getElementById("hostControls");
+  const data = lastPlayerList;
+  const isHost = !!data && data.host === myName && !isSpectator;
+  panel.classList.toggle("hidden", !isHost);
+  if (!isHost) return;
+
+  const lockBtn = document.getElementById("lockRoomBtn");
+  lockBtn.textContent = data.locked ? "Unlock Room" : "Lock Room";
+  lockBtn.onclick = () => socket.emit("setRoomLocked", { roomCode, locked: !data.locked });
+
+  const pauseBtn = document.getElementById("pauseGameBtn");
+  pauseBtn.classList.toggle("hidden", gameDiv.classList.contains("hidden"));
+  pauseBtn.textContent = hostPaused ? "Resume Game" : "Pause Game";
+  pauseBtn.onclick = () => socket.emit(hostPaused ? "resumeGame" : "pauseGame", { roomCode });
+
+  const list = document.getElementById("hostPlayerList");
+  list.innerHTML = "";
+  data.players.filter(name => name !== myName).forEach(name => {
+    const li = document.createElement("li");
+    li.textContent = name;
+    if (!(data.bots || []).includes(name) && !(data.offline || []).includes(name)) {
+      const hostBtn = document.createElement("button");
+      hostBtn.className = "bot-remove-btn";
+      hostBtn.textContent = "Make Host";
+      hostBtn.onclick = () => socket.emit("transferHost", { roomCode, playerName: name });
+      li.appendChild(hostBtn);
+    }
+    const kickBtn = document.createElement("button");
+    kickBtn.className = "bot-remove-btn";
+    kickBtn.textContent = "Kick";
+    kickBtn.onclick = () => {
+      if (confirm(`Remove ${name} from the room?`)) socket.emit("kickPlayer", { roomCode, playerName: name });
+    };
+    li.appendChild(kickBtn);
+    list.appendChild(li);
+  });
+}
+
+// Game-view part of a room snapshot; returns false while the room is still in the lobby
+function renderGameSnapshot(state) {
+  roomCode = state.roomCode;
+  myName = state.playerName;
+  roomCodeInput.value = state.roomCode;
+  playerNameInput.value = state.playerName;
+  gamePaused = state.paused;
+  hostPaused = state.hostPaused;
+  isSpectator = state.spectator;
+  handDiv.classList.toggle("hidden", isSpectator);
+  document.getElementById("handControls").classList.toggle("hidden", isSpectator);
+  setup.classList.add("hidden");
+
+  // Between the games of a match the table stays up with the standings on it
+  if (state.phase === "waiting") {
+    const betweenGames = !!state.match && state.match.results.length > 0;
+    lobby.classList.toggle("hidden", betweenGames);
+    gameDiv.classList.toggle("hidden", !betweenGames);
+    return false;
+  }
+
+  lobby.classList.add("hidden");
+  gameDiv.classList.remove("hidden");
+  currentRound = state.round;
+  currentTrump = state.trump;
+  currentCardsThisRound = state.cardsThisRound;
+  currentSchedule = state.schedule;
+  renderScheduleStrip();
+  currentPlayOrder = state.playOrder.slice();
+  currentTurnPlayerName = state.currentPlayer;
+  turnCountdown = state.turnSecondsLeft !== null
+    ? { playerName: state.currentPlayer, endsAt: Date.now() + state.turnSecondsLeft * 1000 }
+    : null;
+  isMyTurn = false;
+  interTrickPause = false;
+  legalCards = null;
+  selectedCard = null;
+
+  renderRoundHeader(state.currentTrick.length ? state.currentTrick[0].card.suit : null);
+  renderHand(state.hand);
+
+  previousTotals = { ...state.scores };
+  renderScoreHeader();
+  updateScoreTotals(previousTotals);
+
+  latestPredictions = { ...state.predictions };
+  renderPredictions(latestPredictions);
+  renderTricksWon(state.tricksWon);
+
+  const currentTrickDiv = document.getElementById("currentTrick");
+  currentTrickDiv.innerHTML = "";
+  state.currentTrick.forEach(({ playerName, card }) => {
+    const cardDiv = document.createElement("div");
+    cardDiv.className = "played-card";
+    cardDiv.innerHTML = `${escapeHtml(playerName)}: ${formatCardHTMLInline(card)}`;
+    currentTrickDiv.appendChild(cardDiv);
+  });
+  return true;
+}
+
+// Redraw everything from the server's snapshot: lobby, scoreboard, table and whatever prompt is pending
+function renderRoomState(state) {
+  const inGame = renderGameSnapshot(state);
+  renderPlayerList(state.players);
+  renderChat(state.chat);
+  renderMatch(state.phase === "waiting" ? state.match : null);
+  if (!inGame) return;
+  // The hash we hold now is for the game after this one
+  if (gameNonceCommitment === null) gameNonceCommitment = false;
+
+  const body = document.getElementById("scoreBody");
+  if (body) {
+    body.innerHTML = state.roundHistory
+      .map(({ round, deltas }) => roundRowHtml(round, playersInRoom.map(p => deltas[p] ?? 0)))
+      .join("");
+  }
+
+  const prompt = document.getElementById("predictionPrompt");
+  if (prompt) { prompt.classList.add("hidden"); prompt.innerHTML = ""; }
+  handDiv.style.border = "none";
+
+  const turn = state.turn;
+  if (!turn) return;
+  if (turn.type === "nameTrump") {
+    showTrumpPicker(turn.playerName, turn.options);
+  } else if (turn.type === "predict") {
+    isMyTurn = turn.playerName === myName;
+    if (isMyTurn) showPredictionInput(turn.maxPrediction, turn.isLast, turn.forbidden);
+    else showGameMessage(`Waiting for ${turn.playerName} to predict...`);
+  } else if (turn.playerName === myName) {
+    beginMyPlayTurn(turn);
+  } else {
+    showGameMessage(`Waiting for ${turn.playerName} to play...`);
+  }
+}
+
+socket.on("roomState", renderRoomState);
+
+socket.on("sessionResumed", () => {
+  if (!gameDiv.classList.contains("hidden") && (gamePaused || !isMyTurn)) {
+    showGameMessage(gamePaused ? "Reconnected. Waiting for other players to return..." : "Reconnected to the game.");
+  }
+});
+
+socket.on("spectatorJoined", ({ roomCode: code }) => {
+  if (!gameDiv.classList.contains("hidden")) {
+    showGameMessage(`👀 You are watching room ${code}.`);
+  }
+});
+
+// Events can be missed while a phone tab sleeps; ask for a fresh snapshot on return
+document.addEventListener("visibilitychange", () => {
+  if (document.visibilityState === "visible" && roomCode && setup.classList.contains("hidden")) {
+    socket.emit("getRoomState", { roomCode });
+  }
+});
+
+// Every player's hand, shown to spectators after the host's chosen delay
+socket.on("spectatorHands", ({ hands }) => {
+  const panel = document.getElementById("spectatorHands");
+  const list = document.getElementById("spectatorHandsList");
+  if (!panel || !list || !isSpectator) return;
+  list.innerHTML = Object.keys(hands).map(player => {
+    const cards = hands[player].map(card => formatCardHTMLInline(card)).join(" ");
+    return `<div class="spectator-hand"><strong>${escapeHtml(player)}</strong>: ${cards || "—"}</div>`;
+  }).join("");
+  panel.classList.remove("hidden");
+});
+
+socket.on("gamePaused", ({ playerName, graceSeconds }) => {
+  gamePaused = true;
+  stopTurnCountdown();
+  showGameMessage(`⏸ ${playerName} disconnected. Game paused for up to ${graceSeconds}s while they reconnect.`);
+});
+
+socket.on("seatTakenOver", ({ playerName }) => {
+  showGameMessage(`🤖 A bot is now playing for ${playerName}.`);
+});
+
+socket.on("gameResumed", ({ playerName }) => {
+  gamePaused = false;
+  showGameMessage(playerName ? `▶ ${playerName} is back. Game resumed.` : "▶ Game resumed.");
+});
+
+socket.on("hostPaused", ({ playerName }) => {
+  hostPaused = true;
+  stopTurnCountdown();
+  showGameMessage(`⏸ ${playerName} paused the game.`);
+  renderHostControls();
+});
+
+socket.on("hostResumed", ({ playerName }) => {
+  hostPaused = false;
+  showGameMessage(`▶ ${playerName} resumed the game.`);
+  renderHostControls();
+});
+
+socket.on("hostChanged", ({ host }) => {
+  showGameMessage(host === myName ? "👑 You are now the host." : `👑 ${host} is now the host.`);
+});
+
+// Back to the setup screen after losing our place in the room
+function leaveRoomView() {
+  clearSession();
+  chatPanel.classList.add("hidden");
+  stopTurnCountdown();
+  lastPlayerList = null;
+  renderHostControls();
+  restoreSettingsForm();
+  gameDiv.classList.add("hidden");
+  lobby.classList.add("hidden");
+  setup.classList.remove("hidden");
+}
+
+// The host removed us: back to the start screen
+socket.on("kicked", () => {
+  leaveRoomView();
+  alert("The host removed you from the room.");
+});
+
+socket.on("roomClosed", ({ message }) => {
+  leaveRoomView();
+  alert(message);
+});
+
+function renderPlayerList(data) {
   const { players, config } = data;
+  if (data.nonceCommitment) nextNonceCommitment = data.nonceCommitment;
+  const offline = data.offline || [];
+  const bots = data.bots || [];
+  const away = data.away || [];
+  const isHost = data.host === myName;
   playersInRoom = players.slice();
+  lastPlayerList = data;
+  hostPaused = !!data.hostPaused;
+  renderHostControls();
   
   // Update players list
   playersList.innerHTML = "";
   players.forEach(name => {
     const li = document.createElement("li");
-    li.textContent = name;
+    li.textContent = offline.includes(name) ? `${name} (reconnecting…)` : name;
+    if (away.includes(name)) li.textContent += " (away)";
+    if (bots.includes(name)) {
+      li.textContent += " 🤖";
+      if (isHost) {
+        const removeBtn = document.createElement("button");
+        removeBtn.className = "bot-remove-btn";
+        removeBtn.textContent = "Remove";
+        removeBtn.onclick = () => socket.emit("removeBot", { roomCode, botName: name });
+        li.appendChild(removeBtn);
+      }
+    }
     playersList.appendChild(li);
   });
 
+  imBackBtn.classList.toggle("hidden", !away.includes(myName));
+
+  spectatorsList.innerHTML = "";
+  (data.spectators || []).forEach(name => {
+    const li = document.createElement("li");
+    li.textContent = name;
+    spectatorsList.appendChild(li);
+  });
+
+  // Only the host can fill empty seats with bots
+  botControls.classList.toggle("hidden", !isHost || (config && players.length >= config.maxPlayers));
+
   // Update game configuration display
   const gameConfigDiv = document.getElementById("gameConfig");
   if (config) {
@@ -239,9 +1030,19 @@ socket.on("playerList", (data) => {
       <p>🎴 Number of Decks: ${config.decks}</p>
       <p>🔽 Min Cards per Round: ${config.minCards}</p>
       <p>🔼 Max Cards per Round: ${config.maxCards}</p>
-      <p>👥 Maximum Players: ${config.maxPlayers}</p>
+      <p>👥 Maximum Players: ${config.maxPlayers}${config.isPublic ? " (public room)" : ""}</p>
+      ${config.roundSchedule ? `<p>📅 Rounds (${config.roundSchedule.length}): ${formatSchedule(config.roundSchedule)}</p>` : ""}
+      <p>🃏 Trump: ${describeTrumpMode(config)}</p>
+      <p>🏆 Match: ${config.matchGames > 1 ? `Best of ${config.matchGames} games` : "Single games"}</p>
+      ${config.hostSeeded ? `<p class="host-seeded">🔑 Deal Seed: chosen by the host, who knows every hand of the first game</p>` : ""}
+      ${config.scoring ? `<p>🧮 Scoring: ${escapeHtml(config.scoring.label)}</p>
+      <p class="scoring-rules">Exact: ${escapeHtml(config.scoring.hit)} | Miss: ${escapeHtml(config.scoring.miss)}${config.scoring.zeroBonus !== "0" ? ` | Zero bid bonus: ${escapeHtml(config.scoring.zeroBonus)}` : ""}</p>` : ""}
+      <p>⏱ Turn Timer: ${config.turnSeconds ? `${config.turnSeconds}s` : "Off"}${config.awayAfterTimeouts ? ` (away after ${config.awayAfterTimeouts} missed turns)` : ""}</p>
+      <p>🔌 Reconnect Grace: ${config.reconnectGrace}s${config.botTakeover ? ", then a bot takes over" : ""}</p>
+      <p>👀 Spectators See Hands: ${config.spectatorHandsDelay === null ? "Never" : `After ${config.spectatorHandsDelay}s`}</p>
     `;
   }
+  renderSettingsEditor(config, isHost);
 
   // Ensure scoreboard header and totals are initialized/refreshed
   try {
@@ -250,17 +1051,94 @@ socket.on("playerList", (data) => {
   } catch (_) {}
 
   // Show start button only if there are at least 2 players
-  startGameBtn.classList.toggle("hidden", players.length < 2);
+  startGameBtn.classList.toggle("hidden", players.length < 2 || isSpectator);
+  chatPanel.classList.remove("hidden");
+  // The host may have changed, and with it who sees the match buttons
+  renderMatch(currentMatch);
+}
+
+// Standings between the games of a match: a podium once it is decided, the vote for the next
+// game, and for the host a way to start it straight away or take everyone back to the lobby
+function renderMatch(match) {
+  currentMatch = match && match.results.length > 0 ? match : null;
+  const panel = document.getElementById("matchPanel");
+  panel.classList.toggle("hidden", !currentMatch);
+  if (!currentMatch) return;
+
+  const { games, results, standings, decided, votes, voters } = currentMatch;
+  document.getElementById("matchTitle").textContent = decided
+    ? (games > 1 ? `Match over after ${results.length} game${results.length === 1 ? "" : "s"}` : "Final standings")
+    : `After game ${results.length} of ${games}`;
+
+  const medals = ["🥇", "🥈", "🥉"];
+  document.getElementById("matchPodium").innerHTML = decided
+    ? standings.slice(0, 3).map((row, i) => `
+      <li class="place-${i + 1}">${medals[i]}<br><strong>${escapeHtml(row.name)}</strong><br>${row.totalScore} pts</li>`).join("")
+    : "";
+
+  document.getElementById("matchStandings").innerHTML = `
+    <thead><tr><th>#</th><th>Player</th><th>Games Won</th><th>Total Score</th><th>Played</th></tr></thead>
+    <tbody>${standings.map((row, i) => `
+      <tr><td>${i + 1}</td><td>${escapeHtml(row.name)}</td><td>${row.wins}</td><td>${row.totalScore}</td><td>${row.games}</td></tr>`).join("")}
+    </tbody>`;
+
+  const waitingOn = voters.filter(name => !votes.includes(name));
+  document.getElementById("matchVotes").textContent = waitingOn.length
+    ? `Ready: ${votes.length}/${voters.length}. Waiting for ${waitingOn.join(", ")}`
+    : "Everyone is ready";
+
+  const voteBtn = document.getElementById("matchVoteBtn");
+  voteBtn.textContent = decided ? "Rematch" : "Next Game";
+  voteBtn.disabled = votes.includes(myName);
+  voteBtn.classList.toggle("hidden", !voters.includes(myName));
+  const isHost = !!lastPlayerList && lastPlayerList.host === myName;
+  document.getElementById("matchStartBtn").classList.toggle("hidden", !isHost);
+  document.getElementById("matchLobbyBtn").classList.toggle("hidden", !isHost);
+  document.getElementById("matchSettingsBtn").classList.toggle("hidden", !isHost || !decided);
+}
+
+document.getElementById("matchVoteBtn").onclick = () => {
+  socket.emit("voteRematch", { roomCode });
+};
+
+document.getElementById("matchStartBtn").onclick = () => {
+  socket.emit("startGame", { roomCode });
+};
+
+document.getElementById("matchLobbyBtn").onclick = () => {
+  socket.emit("returnToLobby", { roomCode });
+};
+
+// Only the host's view changes; saving there starts a new match and brings everyone else back too
+document.getElementById("matchSettingsBtn").onclick = () => {
+  gameDiv.classList.add("hidden");
+  lobby.classList.remove("hidden");
+};
+
+socket.on("matchUpdate", renderMatch);
+
+// The host ended the match, or too few players were left to carry on
+socket.on("returnedToLobby", ({ reason }) => {
+  renderMatch(null);
+  document.getElementById("gameMessages").innerHTML = "";
+  gameDiv.classList.add("hidden");
+  lobby.classList.remove("hidden");
+  if (reason) alert(`Match ended: ${reason}`);
 });
 
-socket.on("roundStart", ({ round, trump, cardsThisRound, ascending }) => {
+socket.on("playerList", renderPlayerList);
+
+socket.on("roundStart", ({ round, trump, trumpCard, cardsThisRound, schedule, commitment }) => {
   lobby.classList.add("hidden");
   gameDiv.classList.remove("hidden");
+  renderMatch(null);
   currentRound = round;
   currentTrump = trump;
   currentCardsThisRound = cardsThisRound;
-  currentAscending = ascending;
+  currentSchedule = schedule;
   renderRoundHeader();
+  renderScheduleStrip();
+  renderHostControls();
   // Reset scoreboard for a fresh game at round 1
   resetScoreboardIfNeeded(round);
   // Ensure scoreboard header and totals are present after view switch
@@ -276,34 +1154,61 @@ socket.on("roundStart", ({ round, trump, cardsThisRound, ascending }) => {
   const predPrompt1 = document.getElementById("predictionPrompt");
   if (predPrompt1) { predPrompt1.classList.add("hidden"); predPrompt1.innerHTML = ""; }
   justDealt = true;
+  legalCards = null;
+  selectedCard = null;
+  dealCommitment = commitment || null;
+  dealtHand = null;
+  if (round === 1) {
+    // A redealt first round keeps the hash seen before the game began
+    if (gameNonceCommitment === null) gameNonceCommitment = nextNonceCommitment;
+    revealedSeeds = {};
+    withheldDeals = {};
+    document.getElementById("fairnessLog").innerHTML = "";
+  }
   
-  showGameMessage(`Round ${round} started! Trump suit: ${trump}`);
+  const turnedUp = trumpCard ? ` (turned up ${trumpCard.rank} of ${trumpCard.suit})` : "";
+  showGameMessage(`Round ${round} started! Trump: ${trumpName(trump)}${turnedUp}`);
 });
 
-socket.on("yourCards", (cards) => {
+function renderHand(cards) {
   myCards = cards;
   handDiv.innerHTML = "";
   const rankVal = {"2":2,"3":3,"4":4,"5":5,"6":6,"7":7,"8":8,"9":9,"10":10,"J":11,"Q":12,"K":13,"A":14};
   const suitVal = {"Spades":0,"Hearts":1,"Diamonds":2,"Clubs":3};
-  const withIndex = cards.map((c, i) => ({ card: c, originalIndex: i }));
-  withIndex.sort((a, b) => {
+  // Sorting only changes the display; a card is played by its id, wherever it sits
+  const sorted = cards.slice().sort((a, b) => {
     const sv = (s) => suitVal[s] ?? 99;
-    const ra = rankVal[a.card.rank] ?? 0;
-    const rb = rankVal[b.card.rank] ?? 0;
-    if (sv(a.card.suit) !== sv(b.card.suit)) return sv(a.card.suit) - sv(b.card.suit);
+    const ra = rankVal[a.rank] ?? 0;
+    const rb = rankVal[b.rank] ?? 0;
+    if (sv(a.suit) !== sv(b.suit)) return sv(a.suit) - sv(b.suit);
     return ra - rb;
   });
   const frag = document.createDocumentFragment();
-  withIndex.forEach(({ card, originalIndex }) => {
+  sorted.forEach(card => {
     const div = document.createElement("div");
     div.className = "card";
     div.innerHTML = formatCardHTML(card);
-    div.setAttribute("data-index", originalIndex);
+    div.setAttribute("data-id", card.id);
+    if (legalCards && !legalCards.includes(card.id)) div.classList.add("card-illegal");
+    if (card.id === selectedCard) div.classList.add("card-selected");
     frag.appendChild(div);
   });
   handDiv.appendChild(frag);
+}
+
+function renderTricksWon(tricksWon) {
+  let tricksHTML = "";
+  Object.keys(tricksWon).forEach(player => {
+    tricksHTML += `<p>${escapeHtml(player)}: ${tricksWon[player]}</p>`;
+  });
+  document.getElementById("tricksWon").innerHTML = tricksHTML;
+}
+
+socket.on("yourCards", (cards) => {
+  renderHand(cards);
   
   if (justDealt) {
+    dealtHand = cards.slice();
     showGameMessage(`You received ${cards.length} cards. Look at your hand above.`);
     justDealt = false;
   }
@@ -319,7 +1224,7 @@ socket.on("errorMessage", msg => {
   alert(msg);
   console.error("Error:", msg);
   // If an invalid play was attempted during our turn, allow retry
-  if (msg.includes("must follow the lead suit") || msg.includes("Invalid card selection")) {
+  if (msg.includes("must follow the lead suit") || msg.includes("not in your hand")) {
     isMyTurn = true;
     handDiv.style.border = "2px solid #ffb703";
   }
@@ -389,6 +1294,51 @@ function showPredictionInput(maxPrediction, isLast = false, forbidden = null) {
   prompt.classList.remove("hidden");
 }
 
+// The highest bidder picks trump for the round
+function showTrumpPicker(playerName, options) {
+  currentTurnPlayerName = playerName;
+  refreshTurnHighlight();
+  const prompt = document.getElementById("predictionPrompt");
+  if (playerName !== myName) {
+    showGameMessage(`Waiting for ${playerName} to name trump...`);
+    if (prompt) { prompt.classList.add("hidden"); prompt.innerHTML = ""; }
+    return;
+  }
+
+  showGameMessage("You bid the most — name trump for this round!");
+  if (!prompt) return;
+  const buttonsHtml = options.map(suit =>
+    `<button onclick="submitTrump('${suit}')" class="pred-btn" style="color:${suitColor(suit)}">${suitSymbol(suit)}</button>`
+  ).join("");
+  prompt.innerHTML = `
+      <h3>Name trump</h3>
+      <div class="prediction-buttons">${buttonsHtml}</div>
+  `;
+  prompt.classList.remove("hidden");
+}
+
+socket.on("chooseTrump", ({ playerName, options }) => showTrumpPicker(playerName, options));
+
+socket.on("trumpNamed", ({ playerName, trump }) => {
+  currentTrump = trump;
+  renderRoundHeader();
+  showGameMessage(`${playerName} named trump: ${trumpName(trump)}`);
+});
+
+window.submitTrump = function(suit) {
+  const pauseNote = pausedMessage();
+  if (pauseNote) {
+    alert(pauseNote);
+    return;
+  }
+  const prompt = document.getElementById("predictionPrompt");
+  if (prompt) {
+    prompt.classList.add("hidden");
+    prompt.innerHTML = "";
+  }
+  socket.emit("nameTrump", { roomCode, suit });
+};
+
 function renderPredictions(predictions) {
   const predDiv = document.getElementById("predictions");
   if (!predDiv) return;
@@ -399,13 +1349,18 @@ function renderPredictions(predictions) {
     const shown = (val === undefined || val === null) ? "—" : `${val}`;
     const isCurrent = (player === currentTurnPlayerName);
     const cls = isCurrent ? 'current-turn' : '';
-    predictionsHTML += `<p class="pred-line ${cls}" data-player="${player}">${player}: ${shown} tricks</p>`;
+    predictionsHTML += `<p class="pred-line ${cls}" data-player="${escapeHtml(player)}">${escapeHtml(player)}: ${shown} tricks</p>`;
   });
   predDiv.innerHTML = predictionsHTML;
 }
 
 // Global function for prediction buttons
 window.submitPrediction = function(prediction) {
+  const pauseNote = pausedMessage();
+  if (pauseNote) {
+    alert(pauseNote);
+    return;
+  }
   const prompt = document.getElementById("predictionPrompt");
   if (prompt) {
     prompt.classList.add("hidden");
@@ -416,7 +1371,29 @@ window.submitPrediction = function(prediction) {
   showGameMessage(`You predicted: ${prediction} tricks`);
 };
 
+socket.on("turnTimer", ({ playerName, seconds }) => {
+  startTurnCountdown(playerName, seconds);
+});
+
+socket.on("turnTimedOut", ({ playerName }) => {
+  stopTurnCountdown();
+  if (playerName !== myName) {
+    showGameMessage(`⏱ ${playerName} ran out of time. Playing automatically.`);
+    return;
+  }
+  // The server moves for us; close anything still waiting on our input
+  isMyTurn = false;
+  handDiv.style.border = "none";
+  const prompt = document.getElementById("predictionPrompt");
+  if (prompt) {
+    prompt.classList.add("hidden");
+    prompt.innerHTML = "";
+  }
+  showGameMessage("⏱ You ran out of time. A move was made for you.");
+});
+
 socket.on("predictionMade", ({ playerName, prediction }) => {
+  stopTurnCountdown();
   showGameMessage(`${playerName} predicted ${prediction} tricks`);
   // Live update predictions panel
   if (!latestPredictions) latestPredictions = {};
@@ -445,19 +1422,27 @@ socket.on("playPhaseStart", ({ firstPlayer, playOrder }) => {
   if (predPrompt2) { predPrompt2.classList.add("hidden"); predPrompt2.innerHTML = ""; }
 });
 
-socket.on("yourTurnToPlay", () => {
+function beginMyPlayTurn({ legalCards: allowed = null } = {}) {
   isMyTurn = true;
   interTrickPause = false; // allow play only when server signals your turn
+  legalCards = allowed;
+  if (legalCards && !legalCards.includes(selectedCard)) selectedCard = null;
+  renderHand(myCards);
+  updatePlaySelectedBtn();
   showGameMessage("🎯 It's your turn to play a card! Click on a card from your hand.");
   // Highlight hand or show some indication
   handDiv.style.border = "2px solid #ffb703";
   currentTurnPlayerName = myName;
   refreshTurnHighlight();
-});
+}
+
+socket.on("yourTurnToPlay", beginMyPlayTurn);
 
 socket.on("cardPlayed", ({ playerName, card }) => {
+  stopTurnCountdown();
   showGameMessage(`${playerName} played ${formatCardText(card)}`);
   handDiv.style.border = "none";
+  if (playerName === myName) clearCardChoice();
   
   // Add to current trick display
   const currentTrickDiv = document.getElementById("currentTrick");
@@ -467,7 +1452,7 @@ socket.on("cardPlayed", ({ playerName, card }) => {
   }
   const cardDiv = document.createElement("div");
   cardDiv.className = "played-card";
-  cardDiv.innerHTML = `${playerName}: ${formatCardHTMLInline(card)}`;
+  cardDiv.innerHTML = `${escapeHtml(playerName)}: ${formatCardHTMLInline(card)}`;
   currentTrickDiv.appendChild(cardDiv);
 
   if (currentPlayOrder && currentPlayOrder.length > 0) {
@@ -491,12 +1476,7 @@ socket.on("trickWon", ({ playerName, trick, tricksWon }) => {
   handDiv.style.border = "none";
   
   // Update tricks won display
-  // let tricksHTML = "<h3>Tricks Won:</h3>";
-  let tricksHTML = "";
-  Object.keys(tricksWon).forEach(player => {
-    tricksHTML += `<p>${player}: ${tricksWon[player]}</p>`;
-  });
-  document.getElementById("tricksWon").innerHTML = tricksHTML;
+  renderTricksWon(tricksWon);
   currentTurnPlayerName = playerName;
   refreshTurnHighlight();
   
@@ -515,25 +1495,56 @@ socket.on("nextTrick", ({ firstPlayer, playOrder }) => {
   refreshTurnHighlight();
 });
 
-socket.on("roundEnd", ({ predictions, tricksWon, scores }) => {
+// One line in the deal-check panel; failures stand out and are logged
+function addFairnessEntry(label, problems) {
+  const li = document.createElement("li");
+  li.className = problems.length ? "fairness-bad" : "fairness-ok";
+  li.textContent = problems.length ? `${label}: ⚠ ${problems.join("; ")}` : `${label}: ✔ verified`;
+  document.getElementById("fairnessLog").appendChild(li);
+  document.getElementById("fairnessPanel").classList.remove("hidden");
+  if (problems.length) console.warn(`Deal check failed for ${label}:`, problems);
+}
+
+function verifyRoundDeal(round, deal, commitment = dealCommitment, hand = dealtHand) {
+  revealedSeeds[round] = { seed: deal.seed, number: deal.number };
+  if (!commitment || !canVerify()) return Promise.resolve();
+  return checkDeal({ commitment, deal, playerName: isSpectator ? null : myName, hand })
+    .then(problems => addFairnessEntry(`Round ${round}`, problems));
+}
+
+// A tournament table learns its seeds once every table has played the game; check them all then
+socket.on("dealsRevealed", async ({ seed, deals }) => {
+  for (const { round, deal } of deals) {
+    const withheld = withheldDeals[round] || {};
+    await verifyRoundDeal(round, deal, withheld.commitment || null, withheld.hand || null);
+  }
+  if (canVerify()) {
+    addFairnessEntry("Game seed", await checkGame({ seed, nonce: null, clientSeeds: [], roundSeeds: revealedSeeds, mySeed: null }));
+  }
+  showGameMessage(`Every table has finished; the deal seed was ${seed}`);
+});
+
+socket.on("roundEnd", ({ predictions, tricksWon, scores, deal }) => {
+  if (deal) verifyRoundDeal(currentRound, deal);
+  else withheldDeals[currentRound] = { commitment: dealCommitment, hand: dealtHand };
+  stopTurnCountdown();
   // Prevent any accidental plays between rounds
   interTrickPause = true;
   isMyTurn = false;
   let resultsHTML = "<h3>Round Results:</h3>";
   Object.keys(predictions).forEach(player => {
     const pred = predictions[player];
-    const scoreChange = pred.predicted === pred.actual ?
-      `+${10 + (pred.actual * 11)}` :
-      `-${Math.abs(pred.predicted - pred.actual)}`;
-    
+    // The server scores the round with the room's rules
+    const scoreChange = pred.delta >= 0 ? `+${pred.delta}` : `${pred.delta}`;
+
     resultsHTML += `
-      <p><strong>${player}</strong>: Predicted ${pred.predicted}, Won ${pred.actual} → ${scoreChange}</p>
+      <p><strong>${escapeHtml(player)}</strong>: Predicted ${pred.predicted}, Won ${pred.actual} → ${scoreChange}</p>
     `;
   });
   
   resultsHTML += "<h3>Total Scores:</h3>";
   Object.keys(scores).forEach(player => {
-    resultsHTML += `<p><strong>${player}</strong>: ${scores[player]}</p>`;
+    resultsHTML += `<p><strong>${escapeHtml(player)}</strong>: ${scores[player]}</p>`;
   });
   
   document.getElementById("gameMessages").innerHTML = resultsHTML;
@@ -548,15 +1559,50 @@ socket.on("roundEnd", ({ predictions, tricksWon, scores }) => {
   previousTotals = { ...scores };
 });
 
-socket.on("gameOver", ({ finalScores }) => {
+socket.on("gameOver", ({ finalScores, gameId, seed, nonce, clientSeeds, nonceCommitment, ratings, match }) => {
+  stopTurnCountdown();
+  if (seed && canVerify()) {
+    checkGame({ seed, nonce, nonceCommitment: gameNonceCommitment || null, clientSeeds: clientSeeds || [], roundSeeds: revealedSeeds, mySeed: isSpectator ? null : clientSeed })
+      .then(problems => addFairnessEntry("Game seed", problems));
+  }
+  gameNonceCommitment = null;
+  if (nonceCommitment) nextNonceCommitment = nonceCommitment;
+  // Fresh entropy for the next game
+  if (!isSpectator) {
+    clientSeed = randomClientSeed();
+    socket.emit("setClientSeed", { roomCode, client_seed: clientSeed });
+    const session = loadSession();
+    if (session) saveSession({ ...session, clientSeed });
+  }
   let finalHTML = "<h2>Game Over!</h2><h3>Final Scores:</h3>";
   Object.keys(finalScores).forEach(player => {
-    finalHTML += `<p><strong>${player}</strong>: ${finalScores[player]}</p>`;
+    // Players with a saved profile also see how their rating moved
+    const rating = ratings && ratings[player];
+    const ratingNote = rating
+      ? ` <a class="rating-change" href="/player.html?name=${encodeURIComponent(player)}" target="_blank" rel="noopener">rating ${rating.before} → ${rating.after}</a>`
+      : "";
+    finalHTML += `<p><strong>${escapeHtml(player)}</strong>: ${finalScores[player]}${ratingNote}</p>`;
   });
+  if (seed) {
+    // Revealed only now; a new room created with this seed deals the same hands
+    finalHTML += `<p class="deal-seed">Deal seed: <code>${escapeHtml(seed)}</code> (create a room with it to play these hands again)</p>`;
+  }
+  if (gameId) {
+    // Keep links to every finished game; the message area is cleared when the next game starts
+    const logList = document.getElementById("gameLogList");
+    const li = document.createElement("li");
+    li.className = "game-log-links";
+    li.innerHTML = `Game ${logList.childElementCount + 1}:
+      <a href="/api/games/${gameId}?download=1">⬇ Download log</a>
+      <a href="/replay.html?game=${gameId}" target="_blank" rel="noopener">▶ Watch replay</a>`;
+    logList.appendChild(li);
+    document.getElementById("gameLogs").classList.remove("hidden");
+  }
   
   document.getElementById("gameMessages").innerHTML = finalHTML;
-  // No popup; server will auto-start the next game. Optionally inform players.
-  showGameMessage("Starting next game shortly...");
+  // The next game waits for everyone's vote; tournament tables are reseated by the tournament instead
+  renderMatch(match);
+  if (currentTournament) showGameMessage("Waiting for the other tables to finish this game...");
   currentTurnPlayerName = null;
   refreshTurnHighlight();
   const predPrompt3 = document.getElementById("predictionPrompt");
@@ -565,15 +1611,84 @@ socket.on("gameOver", ({ finalScores }) => {
 
 socket.on("gameEnded", (reason) => {
   alert(`Game ended: ${reason}`);
+  renderMatch(null);
   gameDiv.classList.add("hidden");
   lobby.classList.remove("hidden");
+  hostPaused = false;
+  renderHostControls();
   currentTurnPlayerName = null;
   refreshTurnHighlight();
   const predPrompt4 = document.getElementById("predictionPrompt");
   if (predPrompt4) { predPrompt4.classList.add("hidden"); predPrompt4.innerHTML = ""; }
 });
 
-function playCard(cardIndex) {
+// A click or key press on a card: plays it at once, or first selects it when the player wants
+// a second click or a confirmation before a card leaves their hand
+function chooseCard(cardId) {
+  if (legalCards && !legalCards.includes(cardId)) return;
+  const mode = playModeSelect.value;
+  if (mode === "click" || (mode === "double" && selectedCard === cardId)) {
+    playCard(cardId);
+    return;
+  }
+  selectCard(cardId);
+}
+
+function selectCard(cardId) {
+  selectedCard = cardId;
+  handDiv.querySelectorAll(".card").forEach(el => {
+    el.classList.toggle("card-selected", el.getAttribute("data-id") === cardId);
+  });
+  updatePlaySelectedBtn();
+}
+
+function updatePlaySelectedBtn() {
+  playSelectedBtn.classList.toggle("hidden", selectedCard === null || !isMyTurn || playModeSelect.value !== "confirm");
+}
+
+// Our turn is over: no more dimmed cards and nothing left selected
+function clearCardChoice() {
+  legalCards = null;
+  selectedCard = null;
+  renderHand(myCards);
+  updatePlaySelectedBtn();
+}
+
+playModeSelect.onchange = () => {
+  try { localStorage.setItem(PLAY_MODE_KEY, playModeSelect.value); } catch (_) {}
+  updatePlaySelectedBtn();
+};
+
+playSelectedBtn.onclick = () => {
+  if (selectedCard !== null) playCard(selectedCard);
+};
+
+// Left and right walk through the cards we may play, and Enter or Space plays the one picked
+document.addEventListener("keydown", (e) => {
+  if (gameDiv.classList.contains("hidden") || isSpectator || !isMyTurn) return;
+  if (e.target instanceof Element && e.target.closest("input, textarea, select, button")) return;
+  const playable = [...handDiv.querySelectorAll(".card:not(.card-illegal)")]
+    .map(el => el.getAttribute("data-id"));
+  if (playable.length === 0) return;
+
+  if (e.key === "ArrowLeft" || e.key === "ArrowRight") {
+    const step = e.key === "ArrowRight" ? 1 : -1;
+    const at = playable.indexOf(selectedCard);
+    const next = at === -1 ? (step === 1 ? 0 : playable.length - 1) : (at + step + playable.length) % playable.length;
+    selectCard(playable[next]);
+    e.preventDefault();
+  } else if ((e.key === "Enter" || e.key === " ") && selectedCard !== null) {
+    playCard(selectedCard);
+    e.preventDefault();
+  }
+});
+
+function playCard(cardId) {
+  const pauseNote = pausedMessage();
+  if (pauseNote) {
+    alert(pauseNote);
+    return;
+  }
   if (interTrickPause) {
     alert("Please wait… next trick is about to start.");
     return;
@@ -583,15 +1698,15 @@ function playCard(cardIndex) {
     return;
   }
   
-  if (cardIndex < 0 || cardIndex >= myCards.length) {
-    alert("Invalid card selection");
+  const card = myCards.find(c => c.id === cardId);
+  if (!card) {
+    alert("That card is not in your hand");
     return;
   }
   
-  const card = myCards[cardIndex];
-  console.log("Playing card:", card, "Index:", cardIndex);
+  console.log("Playing card:", card);
   
-  socket.emit("playCard", { roomCode, cardIndex });
+  socket.emit("playCard", { roomCode, cardId });
 }
 
 function showGameMessage(message) {
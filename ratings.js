@@ -0,0 +1,27 @@
+// Multiplayer Elo: one game counts as a match between every pair of rated players at the
+// table, won by whoever finished with more points and drawn on equal points.
+
+export const DEFAULT_RATING = 1500;
+const K_FACTOR = 32;
+
+// New ratings by key for the rated players of one game, given as { key, rating, score }
+export function updateRatings(entries) {
+  const next = {};
+  entries.forEach(entry => {
+    next[entry.key] = entry.rating;
+  });
+  if (entries.length < 2) return next;
+
+  // Spread K over the opponents so a big table moves ratings no faster than a heads-up game
+  const k = K_FACTOR / (entries.length - 1);
+  entries.forEach(player => {
+    const change = entries.reduce((sum, other) => {
+      if (other === player) return sum;
+      const expected = 1 / (1 + 10 ** ((other.rating - player.rating) / 400));
+      const actual = player.score > other.score ? 1 : (player.score === other.score ? 0.5 : 0);
+      return sum + k * (actual - expected);
+    }, 0);
+    next[player.key] = Math.round(player.rating + change);
+  });
+  return next;
+}
@@ -0,0 +1,47 @@
+// Timers owned by one room. Everything a room waits on - the next round or trick step, the turn
+// clock, a held seat, idle expiry - is set under a key, so setting the key again replaces the old
+// timer, and cancelAll() when the room goes away leaves nothing to fire against a deleted room.
+
+export function createScheduler() {
+  const entries = {}; // key -> { timer, due, ...details }
+  let nextAnonymous = 0;
+
+  // Run callback after delay ms under key, replacing whatever was set under it before.
+  // details are kept with the entry for get(); due is added as the time it will fire
+  function set(key, delay, callback, details = {}) {
+    clear(key);
+    const entry = {
+      ...details,
+      due: Date.now() + delay,
+      timer: setTimeout(() => {
+        if (entries[key] !== entry) return;
+        delete entries[key];
+        callback();
+      }, delay)
+    };
+    entries[key] = entry;
+    return entry;
+  }
+
+  // A one-off timer that nothing replaces; it is still cancelled with the rest
+  function later(delay, callback) {
+    return set(`#${nextAnonymous++}`, delay, callback);
+  }
+
+  function clear(key) {
+    const entry = entries[key];
+    if (!entry) return;
+    clearTimeout(entry.timer);
+    delete entries[key];
+  }
+
+  function get(key) {
+    return entries[key] || null;
+  }
+
+  function cancelAll() {
+    Object.keys(entries).forEach(clear);
+  }
+
+  return { set, later, clear, get, cancelAll };
+}
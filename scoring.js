@@ -0,0 +1,146 @@
+// Round scoring. Every rule set is three formulas over the round's numbers:
+//   hit       - points for making your bid exactly
+//   miss      - points (usually negative) for missing it
+//   zeroBonus - extra points on top of hit for making a bid of zero
+// Formulas may use bid, tricks, diff (|bid - tricks|) and cards (cards dealt this round),
+// numbers, + - * / and parentheses, and abs(x), min(x, y), max(x, y).
+
+export const SCORING_PRESETS = {
+  classic: { label: "Classic (10 + 11 per trick)", hit: "10 + 11 * tricks", miss: "-diff", zeroBonus: "0" },
+  flat: { label: "Flat (10 + bid)", hit: "10 + bid", miss: "-diff", zeroBonus: "0" },
+  penalty: { label: "Lose your bid on a miss", hit: "10 + bid", miss: "-bid", zeroBonus: "0" },
+  exact: { label: "All or nothing (0 on a miss)", hit: "10 + bid", miss: "0", zeroBonus: "0" },
+  zeroBonus: { label: "Classic + zero-bid bonus", hit: "10 + 11 * tricks", miss: "-diff", zeroBonus: "cards" }
+};
+
+const VARIABLES = ["bid", "tricks", "diff", "cards"];
+const FUNCTIONS = { abs: 1, min: 2, max: 2 };
+const MAX_FORMULA_LENGTH = 100;
+
+// Parse a formula into a tree; throws an Error with a readable message on bad input
+function parseFormula(text) {
+  const tokens = String(text).match(/\d+(?:\.\d+)?|[a-z]+|\S/gi) || [];
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const next = () => tokens[pos++];
+  const expect = (token) => {
+    if (next() !== token) throw new Error(`expected "${token}"`);
+  };
+
+  function parseExpression() {
+    let node = parseTerm();
+    while (peek() === "+" || peek() === "-") {
+      const op = next();
+      node = { op, left: node, right: parseTerm() };
+    }
+    return node;
+  }
+
+  function parseTerm() {
+    let node = parseFactor();
+    while (peek() === "*" || peek() === "/") {
+      const op = next();
+      node = { op, left: node, right: parseFactor() };
+    }
+    return node;
+  }
+
+  function parseFactor() {
+    const token = next();
+    if (token === undefined) throw new Error("formula ends unexpectedly");
+    if (token === "-") return { op: "neg", arg: parseFactor() };
+    if (token === "+") return parseFactor();
+    if (token === "(") {
+      const node = parseExpression();
+      expect(")");
+      return node;
+    }
+    if (/^\d/.test(token)) return { value: Number(token) };
+
+    const name = token.toLowerCase();
+    if (VARIABLES.includes(name)) return { variable: name };
+    if (FUNCTIONS[name]) {
+      expect("(");
+      const args = [parseExpression()];
+      while (peek() === ",") {
+        next();
+        args.push(parseExpression());
+      }
+      expect(")");
+      if (args.length !== FUNCTIONS[name]) {
+        throw new Error(`${name}() takes ${FUNCTIONS[name]} argument${FUNCTIONS[name] > 1 ? "s" : ""}`);
+      }
+      return { fn: name, args };
+    }
+    throw new Error(`unknown term "${token}"`);
+  }
+
+  if (tokens.length === 0) throw new Error("formula is empty");
+  const tree = parseExpression();
+  if (pos < tokens.length) throw new Error(`unexpected "${tokens[pos]}"`);
+  return tree;
+}
+
+function evaluate(node, vars) {
+  if (node.value !== undefined) return node.value;
+  if (node.variable) return vars[node.variable];
+  if (node.fn) {
+    const args = node.args.map(arg => evaluate(arg, vars));
+    return Math[node.fn](...args);
+  }
+  if (node.op === "neg") return -evaluate(node.arg, vars);
+
+  const left = evaluate(node.left, vars);
+  const right = evaluate(node.right, vars);
+  if (node.op === "+") return left + right;
+  if (node.op === "-") return left - right;
+  if (node.op === "*") return left * right;
+  return left / right;
+}
+
+// Error message for a preset name or custom formulas the server can't use, or null
+export function validateScoring(choice) {
+  if (!choice || typeof choice !== "object") return "Scoring rules are missing";
+  if (choice.preset !== "custom") {
+    return Object.prototype.hasOwnProperty.call(SCORING_PRESETS, choice.preset) ? null : "Unknown scoring preset";
+  }
+
+  for (const [key, label] of [["hit", "Exact bid"], ["miss", "Missed bid"], ["zeroBonus", "Zero-bid bonus"]]) {
+    const formula = choice[key];
+    if (typeof formula !== "string" || formula.length > MAX_FORMULA_LENGTH) {
+      return `${label} formula must be text of at most ${MAX_FORMULA_LENGTH} characters`;
+    }
+    try {
+      parseFormula(formula);
+    } catch (err) {
+      return `${label} formula: ${err.message}`;
+    }
+  }
+  return null;
+}
+
+// The formulas and label for a validated choice, as stored in the room's game config
+export function resolveScoring(choice) {
+  if (choice.preset !== "custom") {
+    return { preset: choice.preset, ...SCORING_PRESETS[choice.preset] };
+  }
+  return {
+    preset: "custom",
+    label: "Custom",
+    hit: choice.hit.trim(),
+    miss: choice.miss.trim(),
+    zeroBonus: choice.zeroBonus.trim()
+  };
+}
+
+// Points a player earns for one round under the given scoring rules
+export function scoreRound({ bid, tricks, cards }, scoring) {
+  const vars = { bid, tricks, cards, diff: Math.abs(bid - tricks) };
+  const run = (formula) => {
+    const result = evaluate(parseFormula(formula), vars);
+    return Number.isFinite(result) ? Math.round(result) : 0;
+  };
+
+  if (bid !== tricks) return run(scoring.miss);
+  return run(scoring.hit) + (bid === 0 ? run(scoring.zeroBonus) : 0);
+}
@@ -0,0 +1,79 @@
+// Bidding and play statistics for one player, worked out from the event logs of their finished
+// games. games is [{ log, name }], oldest first: the saved log and the player's name in it.
+
+const rate = (hits, total) => (total > 0 ? hits / total : null);
+const average = (sum, count) => (count > 0 ? sum / count : null);
+
+export function playerStats(games) {
+  let rounds = 0;
+  let exactBids = 0;
+  let overBids = 0;
+  const bySize = {}; // cards dealt -> { rounds, bids, tricks, exact }
+  const zero = { bids: 0, made: 0 };
+  const trump = { plays: 0, trumpPlays: 0, tricksWonWithTrump: 0 };
+  const leading = { led: 0, won: 0 };
+  const scoreCurves = [];
+
+  games.forEach(({ log, name }) => {
+    const curve = [];
+    log.rounds.forEach(round => {
+      // A round dealt again after someone left was never scored
+      if (round.abandoned || !round.results || !round.results[name]) return;
+      const { predicted, actual, total } = round.results[name];
+      rounds++;
+      if (predicted === actual) exactBids++;
+      if (predicted > actual) overBids++;
+
+      const size = bySize[round.cardsThisRound] || (bySize[round.cardsThisRound] = { rounds: 0, bids: 0, tricks: 0, exact: 0 });
+      size.rounds++;
+      size.bids += predicted;
+      size.tricks += actual;
+      if (predicted === actual) size.exact++;
+
+      if (predicted === 0) {
+        zero.bids++;
+        if (actual === 0) zero.made++;
+      }
+
+      round.tricks.forEach(trick => {
+        const own = trick.plays.find(play => play.player === name);
+        if (!own) return;
+        trump.plays++;
+        if (own.card.suit === round.trump) {
+          trump.trumpPlays++;
+          if (trick.winner === name) trump.tricksWonWithTrump++;
+        }
+        if (trick.plays[0].player === name) {
+          leading.led++;
+          if (trick.winner === name) leading.won++;
+        }
+      });
+
+      curve.push({ round: round.round, total });
+    });
+    if (curve.length > 0) {
+      scoreCurves.push({ gameId: log.id, endedAt: log.endedAt, totals: curve });
+    }
+  });
+
+  return {
+    games: scoreCurves.length,
+    rounds,
+    exactBidRate: rate(exactBids, rounds),
+    overBidRate: rate(overBids, rounds),
+    byHandSize: Object.keys(bySize)
+      .map(Number)
+      .sort((a, b) => a - b)
+      .map(cards => ({
+        cards,
+        rounds: bySize[cards].rounds,
+        averageBid: average(bySize[cards].bids, bySize[cards].rounds),
+        averageTricks: average(bySize[cards].tricks, bySize[cards].rounds),
+        exactBidRate: rate(bySize[cards].exact, bySize[cards].rounds)
+      })),
+    zeroBids: { bids: zero.bids, made: zero.made, successRate: rate(zero.made, zero.bids) },
+    trump: { ...trump, trumpShare: rate(trump.trumpPlays, trump.plays) },
+    leading: { ...leading, winRate: rate(leading.won, leading.led) },
+    scoreCurves
+  };
+}
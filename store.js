@@ -0,0 +1,80 @@
+import fs from "fs";
+import path from "path";
+
+// Where game state is kept between runs; mount it as a volume so deploys don't lose games
+const DATA_DIR = process.env.DATA_DIR || path.join(process.cwd(), "data");
+const ROOMS_FILE = path.join(DATA_DIR, "rooms.json");
+const GAMES_DIR = path.join(DATA_DIR, "games");
+
+function loadSaved() {
+  try {
+    return JSON.parse(fs.readFileSync(ROOMS_FILE, "utf8"));
+  } catch (err) {
+    if (err.code !== "ENOENT") {
+      console.error(`Could not load saved rooms: ${err.message}`);
+    }
+    return {};
+  }
+}
+
+// Rooms saved by the previous run, or none if nothing was saved
+export function loadRooms() {
+  return loadSaved().rooms || {};
+}
+
+// Tournaments are saved alongside the rooms their tables are played in
+export function loadTournaments() {
+  return loadSaved().tournaments || {};
+}
+
+// Write every room to disk; writing to a temp file first means a crash never leaves a half-written file
+export function saveRooms(rooms, tournaments = {}) {
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+  const tmpFile = `${ROOMS_FILE}.tmp`;
+  fs.writeFileSync(tmpFile, JSON.stringify({ savedAt: Date.now(), rooms, tournaments }));
+  fs.renameSync(tmpFile, ROOMS_FILE);
+}
+
+// Keep a finished game's event log for export and replay
+export function saveGameLog(log) {
+  fs.mkdirSync(GAMES_DIR, { recursive: true });
+  fs.writeFileSync(path.join(GAMES_DIR, `${log.id}.json`), JSON.stringify(log));
+}
+
+// A saved game log by id, or null; ids are UUIDs so nothing else can be read from disk.
+// Read without blocking, since the stats page asks for dozens of them at once
+export async function loadGameLog(gameId) {
+  if (!/^[0-9a-f-]{36}$/.test(gameId)) return null;
+  try {
+    return JSON.parse(await fs.promises.readFile(path.join(GAMES_DIR, `${gameId}.json`), "utf8"));
+  } catch (err) {
+    if (err.code !== "ENOENT") {
+      console.error(`Could not load game log ${gameId}: ${err.message}`);
+    }
+    return null;
+  }
+}
+
+// Player profiles and the results of every finished game
+const PROFILES_FILE = path.join(DATA_DIR, "profiles.json");
+
+// Profiles are keyed by the names players choose, so the map has no prototype: a name like
+// "constructor" or "__proto__" is just another name
+export function loadProfiles() {
+  try {
+    const { profiles, games } = JSON.parse(fs.readFileSync(PROFILES_FILE, "utf8"));
+    return { profiles: Object.assign(Object.create(null), profiles), games: games || [] };
+  } catch (err) {
+    if (err.code !== "ENOENT") {
+      console.error(`Could not load profiles: ${err.message}`);
+    }
+    return { profiles: Object.create(null), games: [] };
+  }
+}
+
+export function saveProfiles(db) {
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+  const tmpFile = `${PROFILES_FILE}.tmp`;
+  fs.writeFileSync(tmpFile, JSON.stringify(db));
+  fs.renameSync(tmpFile, PROFILES_FILE);
+}
@@ -0,0 +1,57 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { beginGame, dealRound, roundSeed, sha256, nonceCommitment, trumpCycle } from "../engine.js";
+
+// A two-deck room with three players, set up the way the server sets up a lobby
+function room(seed = "table-seed") {
+  const state = {
+    players: ["P0", "P1", "P2"].map(name => ({ id: `id-${name}`, name })),
+    number_of_decks: 2,
+    round_schedule: [5, 5],
+    trump_rotation: trumpCycle("rotation"),
+    gameConfig: { trumpMode: "rotation" },
+    predictions: {},
+    tricks_won: {},
+    current_trick: []
+  };
+  beginGame(state, { id: "game", roomCode: "T", seed });
+  return state;
+}
+
+const handsOf = state => state.players.map(p => state.playerHands[p.id].map(card => card.id).join(","));
+
+test("a restarted round is dealt from a fresh seed", () => {
+  const state = room();
+  dealRound(state);
+  const first = { seed: roundSeed(state), hands: handsOf(state) };
+  dealRound(state);
+  assert.equal(state.round_deal, 2);
+  assert.notEqual(roundSeed(state), first.seed);
+  assert.notDeepEqual(handsOf(state), first.hands);
+});
+
+test("round seeds come from the game seed, the round and the deal number", () => {
+  const state = room("abc");
+  const { events } = dealRound(state);
+  const expected = sha256("abc:1:1");
+  assert.equal(roundSeed(state), expected);
+  assert.equal(events.find(e => e.name === "roundStart").data.commitment, sha256(expected));
+  assert.equal(state.game_log.rounds[0].deal, 1);
+});
+
+test("the same game seed deals the same first round", () => {
+  const a = room("same");
+  const b = room("same");
+  dealRound(a);
+  dealRound(b);
+  assert.deepEqual(handsOf(a), handsOf(b));
+});
+
+test("the nonce commitment gives away nothing of a seed made without player seeds", () => {
+  const nonce = "11111111-2222-3333-4444-555555555555";
+  const state = room(null);
+  beginGame(state, { id: "game", roomCode: "T", nonce, clientSeeds: [] });
+  const commitment = nonceCommitment(nonce);
+  assert.ok(!commitment.startsWith(state.game_seed));
+  assert.notEqual(commitment, sha256(nonce));
+});
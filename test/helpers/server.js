@@ -0,0 +1,81 @@
+import { spawn } from "child_process";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import { io } from "socket.io-client";
+
+const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "..");
+let nextPort = 4700 + (process.pid % 200) * 5;
+
+// Run the server on its own port and scratch data directory; stop() ends it and removes the data
+export async function startServer(env = {}) {
+  const port = nextPort++;
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "judgment-test-"));
+  const proc = spawn(process.execPath, ["index.js"], {
+    cwd: ROOT,
+    env: { ...process.env, PORT: String(port), DATA_DIR: dataDir, ...env },
+    stdio: ["ignore", "pipe", "inherit"]
+  });
+  await new Promise((resolve, reject) => {
+    proc.stdout.on("data", chunk => {
+      if (String(chunk).includes("Server running")) resolve();
+    });
+    proc.once("exit", code => reject(new Error(`server exited with ${code}`)));
+  });
+  const sockets = [];
+  return {
+    connect(name) {
+      const socket = io(`http://localhost:${port}`, { transports: ["websocket"], forceNew: true });
+      socket.name = name;
+      sockets.push(socket);
+      return socket;
+    },
+    async stop() {
+      sockets.forEach(socket => socket.close());
+      const exited = new Promise(resolve => proc.once("exit", resolve));
+      proc.kill();
+      await exited;
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+  };
+}
+
+// The next time socket receives event, or a rejection after ms
+export function once(socket, event, ms = 10000) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`${socket.name} got no ${event}`)), ms);
+    socket.once(event, data => {
+      clearTimeout(timer);
+      resolve(data);
+    });
+  });
+}
+
+// Bid and play for socket's player whenever it is their turn: the first bid allowed, the first legal card
+export function autoplay(socket, roomCode) {
+  const predict = ({ currentPlayer, forbidden }) => {
+    if (currentPlayer !== socket.name) return;
+    socket.emit("makePrediction", { roomCode, prediction: forbidden === 0 ? 1 : 0 });
+  };
+  socket.on("requestPrediction", predict);
+  socket.on("nextPlayerPredict", predict);
+  socket.on("yourTurnToPlay", ({ legalCards }) => socket.emit("playCard", { roomCode, cardId: legalCards[0] }));
+}
+
+// A one-round, one-card game between the sockets, the first of them hosting; resolves at game over
+export async function playQuickGame([host, ...guests], roomCode, settings = {}) {
+  host.emit("createRoom", {
+    roomCode, playerName: host.name, maxPlayers: 4, number_of_decks: 1, max_round_cards: 1, min_round_cards: 1,
+    schedule_type: "custom", custom_rounds: [1], ...settings
+  });
+  await once(host, "roomCreated");
+  for (const guest of guests) {
+    guest.emit("joinRoom", { roomCode, playerName: guest.name });
+    await once(guest, "joinedRoom");
+  }
+  [host, ...guests].forEach(socket => autoplay(socket, roomCode));
+  const over = once(host, "gameOver", 30000);
+  host.emit("startGame", { roomCode });
+  return over;
+}
@@ -0,0 +1,58 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { startServer, once, playQuickGame } from "./helpers/server.js";
+
+test("players join and bots come and go once a single-game match is decided", async () => {
+  const server = await startServer();
+  try {
+    const [ann, bob, cat] = ["Ann", "Bob", "Cat"].map(name => server.connect(name));
+    const { match } = await playQuickGame([ann, bob], "DECIDED");
+    assert.equal(match.decided, true);
+
+    cat.emit("joinRoom", { roomCode: "DECIDED", playerName: "Cat" });
+    await once(cat, "joinedRoom");
+
+    ann.emit("addBot", { roomCode: "DECIDED", difficulty: "random" });
+    const withBot = await once(ann, "playerList");
+    assert.equal(withBot.bots.length, 1);
+    ann.emit("removeBot", { roomCode: "DECIDED", botName: withBot.bots[0] });
+    const withoutBot = await once(ann, "playerList");
+    assert.deepEqual(withoutBot.players, ["Ann", "Bob", "Cat"]);
+  } finally {
+    await server.stop();
+  }
+});
+
+test("nobody joins in the middle of a longer match", async () => {
+  const server = await startServer();
+  try {
+    const [ann, bob, cat] = ["Ann", "Bob", "Cat"].map(name => server.connect(name));
+    const { match } = await playQuickGame([ann, bob], "UNDECIDED", { match_games: 3 });
+    assert.equal(match.decided, false);
+
+    cat.emit("joinRoom", { roomCode: "UNDECIDED", playerName: "Cat" });
+    assert.match(await once(cat, "errorMessage"), /match is in progress/);
+  } finally {
+    await server.stop();
+  }
+});
+
+test("new settings after a decided match send everyone back to the lobby with a fresh match", async () => {
+  const server = await startServer();
+  try {
+    const [ann, bob] = ["Ann", "Bob"].map(name => server.connect(name));
+    await playQuickGame([ann, bob], "RESET");
+
+    const backInLobby = once(bob, "returnedToLobby");
+    const players = once(bob, "playerList");
+    ann.emit("updateRoomSettings", { roomCode: "RESET", match_games: 3 });
+    assert.deepEqual(await backInLobby, { reason: null });
+    assert.equal((await players).config.matchGames, 3);
+
+    // The old podium's Rematch has nothing left to vote on; the new match starts from the lobby
+    bob.emit("voteRematch", { roomCode: "RESET" });
+    assert.match(await once(bob, "errorMessage"), /no game to vote on/);
+  } finally {
+    await server.stop();
+  }
+});
@@ -0,0 +1,42 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { setTimeout as sleep } from "timers/promises";
+import { startServer, once } from "./helpers/server.js";
+
+test("a paused game prompts nobody until the host resumes it", async () => {
+  const server = await startServer();
+  try {
+    const [ann, bob] = ["Ann", "Bob"].map(name => server.connect(name));
+    const tokens = {};
+    [ann, bob].forEach(socket => socket.on("sessionToken", ({ token }) => { tokens[socket.name] = token; }));
+    ann.emit("createRoom", {
+      roomCode: "PAUSED", playerName: "Ann", maxPlayers: 4, number_of_decks: 1, max_round_cards: 1, min_round_cards: 1,
+      schedule_type: "custom", custom_rounds: [1]
+    });
+    await once(ann, "roomCreated");
+    bob.emit("joinRoom", { roomCode: "PAUSED", playerName: "Bob" });
+    await once(bob, "joinedRoom");
+
+    const firstPrompt = once(ann, "requestPrediction");
+    ann.emit("startGame", { roomCode: "PAUSED" });
+    const { currentPlayer } = await firstPrompt;
+    ann.emit("pauseGame", { roomCode: "PAUSED" });
+    await once(bob, "hostPaused");
+
+    // The player on turn comes back on a new connection while the game is paused
+    const returning = server.connect(currentPlayer);
+    const prompts = [];
+    returning.on("nextPlayerPredict", prompt => prompts.push(prompt));
+    returning.emit("resumeSession", { roomCode: "PAUSED", token: tokens[currentPlayer] });
+    await once(returning, "sessionResumed");
+    await sleep(500);
+    assert.deepEqual(prompts, []);
+
+    const host = currentPlayer === "Ann" ? returning : ann;
+    const resumedPrompt = once(returning, "nextPlayerPredict");
+    host.emit("resumeGame", { roomCode: "PAUSED" });
+    assert.equal((await resumedPrompt).currentPlayer, currentPlayer);
+  } finally {
+    await server.stop();
+  }
+});
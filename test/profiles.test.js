@@ -0,0 +1,44 @@
+import { after, test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+// store.js reads DATA_DIR when it loads, so point it at a scratch directory first
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "judgment-profiles-"));
+process.env.DATA_DIR = dataDir;
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+const { loadProfiles } = await import("../store.js");
+const { claimProfile, playerHistory, recordGame } = await import("../profiles.js");
+
+const SECRET = "a-secret-of-sixteen-or-more";
+const NAMES = ["constructor", "__proto__", "toString"];
+
+test("names that match Object.prototype keys have no profile until claimed", () => {
+  const db = loadProfiles();
+  NAMES.forEach(name => assert.equal(playerHistory(db, name), null, name));
+});
+
+test("names that match Object.prototype keys can be claimed and played", () => {
+  const db = loadProfiles();
+  const keys = NAMES.map(name => {
+    const { error, key } = claimProfile(db, name === "constructor" ? "Constructor" : name, SECRET);
+    assert.equal(error, undefined, name);
+    return key;
+  });
+  recordGame(db, { gameId: "g1", roomCode: "R", results: keys.map((key, i) => ({ name: NAMES[i], profile: key, score: i })) });
+  NAMES.forEach(name => {
+    const player = playerHistory(db, name);
+    assert.equal(player.games, 1, name);
+    assert.equal(player.history.length, 1, name);
+  });
+  assert.equal(Object.getPrototypeOf({}).toString, Object.prototype.toString);
+});
+
+test("saved profiles load without a prototype", () => {
+  fs.writeFileSync(path.join(dataDir, "profiles.json"), '{"profiles":{"__proto__":{"name":"__proto__","games":0}},"games":[]}');
+  const db = loadProfiles();
+  assert.equal(Object.getPrototypeOf(db.profiles), null);
+  assert.equal(playerHistory(db, "__proto__").name, "__proto__");
+  assert.equal(playerHistory(db, "constructor"), null);
+});
@@ -0,0 +1,13 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { newTournamentSeed } from "../tournament.js";
+
+test("tournament seeds carry 128 random bits", () => {
+  const seeds = Array.from({ length: 1000 }, newTournamentSeed);
+  seeds.forEach(seed => assert.match(seed, /^[0-9a-f]{32}$/));
+  assert.equal(new Set(seeds).size, seeds.length);
+  // Every hex digit turns up in every position, so no part of the seed is fixed
+  for (let i = 0; i < 32; i++) {
+    assert.equal(new Set(seeds.map(seed => seed[i])).size, 16, `position ${i}`);
+  }
+});
@@ -0,0 +1,80 @@
+// Duplicate tournaments: every table plays the same deals at the same time, so a player is
+// compared with the people who held the same seat's cards at the other tables, not with luck.
+
+import { randomBytes } from "crypto";
+
+export const MAX_TOURNAMENT_TABLES = 8;
+export const MAX_TOURNAMENT_GAMES = 20;
+
+// Error message for a tournament's shape, or null
+export function validateTournament(tables, seatsPerTable, games) {
+  if (!Number.isInteger(tables) || tables < 2 || tables > MAX_TOURNAMENT_TABLES) {
+    return `A tournament needs between 2 and ${MAX_TOURNAMENT_TABLES} tables`;
+  }
+  if (!Number.isInteger(seatsPerTable) || seatsPerTable < 2 || seatsPerTable > 10) {
+    return "Each table needs between 2 and 10 seats";
+  }
+  if (!Number.isInteger(games) || games < 1 || games > MAX_TOURNAMENT_GAMES) {
+    return `A tournament is between 1 and ${MAX_TOURNAMENT_GAMES} games`;
+  }
+  return null;
+}
+
+// Seed for one game at every table. Each roundStart publishes a hash derived from it while the
+// game is still being played elsewhere, so it carries 128 random bits: too many to search for
+export function newTournamentSeed() {
+  return randomBytes(16).toString("hex");
+}
+
+// Round-robin seating for one game: tables[t][s] is the entrant name in seat s of table t.
+// Entrant i starts at table floor(i / seats), seat i % seats; each game everyone moves one seat
+// along, and the players who share a seat number spread across the tables at different speeds,
+// so over the games players sit in every seat and meet different opponents
+export function seatingForGame(entrants, tables, seatsPerTable, gameIndex) {
+  const seating = Array.from({ length: tables }, () => new Array(seatsPerTable));
+  entrants.forEach((name, i) => {
+    const table = Math.floor(i / seatsPerTable);
+    const seat = i % seatsPerTable;
+    seating[(table + gameIndex * seat) % tables][(seat + gameIndex) % seatsPerTable] = name;
+  });
+  return seating;
+}
+
+// Standings from each game's table results ({ seats: [name...], scores: { name: points } }).
+// Every seat of every game is a board: the players who held it at the different tables score
+// one matchpoint for each of them they outscored and half for each tie
+export function tournamentStandings(entrants, results) {
+  const players = {};
+  entrants.forEach(name => {
+    players[name] = { name, matchpoints: 0, totalScore: 0, games: 0 };
+  });
+
+  const boards = [];
+  results.forEach((game, gameIndex) => {
+    const tables = game.tables.filter(Boolean);
+    if (tables.length === 0) return;
+    const seats = Math.max(...tables.map(table => table.seats.length));
+    for (let seat = 0; seat < seats; seat++) {
+      const entries = tables
+        .filter(table => table.seats[seat] !== undefined)
+        .map(table => ({ table: table.table, player: table.seats[seat], score: table.scores[table.seats[seat]] || 0 }));
+      entries.forEach(entry => {
+        entry.matchpoints = entries.reduce((sum, other) => {
+          if (other === entry) return sum;
+          if (entry.score > other.score) return sum + 1;
+          return entry.score === other.score ? sum + 0.5 : sum;
+        }, 0);
+        const player = players[entry.player];
+        if (!player) return;
+        player.matchpoints += entry.matchpoints;
+        player.totalScore += entry.score;
+        player.games++;
+      });
+      boards.push({ game: gameIndex + 1, seat: seat + 1, entries });
+    }
+  });
+
+  const standings = Object.values(players)
+    .sort((a, b) => b.matchpoints - a.matchpoints || b.totalScore - a.totalScore);
+  return { standings, boards };
+}